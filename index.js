@@ -3,6 +3,7 @@ const express = require('express');
 const Endpoints = require('./lib/endpoints');
 const path = require('path');
 const responder = require('./lib/responder');
+const semver = require('semver');
 const versionVerifier = require('./lib/versionVerifier');
 
 
@@ -12,17 +13,77 @@ const versionVerifier = require('./lib/versionVerifier');
  * @property {versionCb} [validate]                     A validator the overrides the default behavior for checking the version
  * @property {string} [param=v]                         The parameter name used for determining the version
  * @property {string} [header=X-ApiVersion]             The header name to look for the requested version
+ * @property {string|boolean} [mediaType]               Enables reading the version from the Accept header. Set to a vendor
+ *                                                      name (e.g. 'acme' for application/vnd.acme.v2+json) or true to only
+ *                                                      look for a version parameter (application/json; version=2).
+ *                                                      The negotiated media type is returned as the Content-Type
+ *                                                      of json responses.
+ * @property {RegExp|string} [hostPattern]             Enables reading the version from the hostname of the request (e.g.
+ *                                                      v2.api.example.com). The first capture group of the pattern is used
+ *                                                      as version. Defaults to /^v(\d+)\./ if 'host' is part of paramOrder.
+ * @property {Object.<string, string|number>} [aliases] A map of version aliases (such as stable or beta) to the versions they
+ *                                                      resolve to. Can be changed at runtime using router.alias(). An alias
+ *                                                      can also be a map of versions to weights (e.g. { 2: 90, 3: 10 }) to
+ *                                                      send a share of its clients to a canary version.
+ * @property {string|function} [canaryKey=ip]          The key that a client is identified by when picking a version by weight,
+ *                                                      either 'ip', 'header:<name>', 'cookie:<name>' or a function that receives
+ *                                                      the request. Falls back to the ip if the key is missing.
+ * @property {string} [canaryHeader=ApiCanary]          The header name to return the version that has been picked by weight
+ * @property {string|number|function} [defaultVersion] The version to use if the client didn't send one. Can be a literal
+ *                                                      version, the keyword 'latest' for the highest version registered
+ *                                                      on an endpoint, a function that receives the request or a map of
+ *                                                      versions to weights the same way as an alias.
+ * @property {function|Object} [resolveVersion]        A hook that pins clients to a version if they didn't send one. Either
+ *                                                      a function that receives the request and a callback (err,
+ *                                                      version), a function that only takes the request and returns
+ *                                                      the version (or a promise) or a map of client keys (see pinKey)
+ *                                                      to versions. An explicit version on the request overrides the pin.
+ * @property {string|function} [pinKey=ip]              The key that a client is identified by in the resolveVersion map, same
+ *                                                      format as canaryKey
+ * @property {string} [pinHeader=ApiPin]                The header name to return the version that a client has been pinned to
+ * @property {boolean} [enforceSunset=false]            Respond with 410 Gone to requests for endpoints that have passed their
+ *                                                      sunset date. Can be overridden by each endpoint.
+ * @property {string} [overlap=warn]                   What to do if an api configuration is registered for versions that overlap
+ *                                                      with another configuration of the same endpoint and their parameters
+ *                                                      differ. 'warn' prints a warning, 'throw' throws an error and 'ignore'
+ *                                                      merges the configurations silently.
+ * @property {string|boolean} [pathTemplate=/v{version}{path}] The template used to generate the versioned path of each
+ *                                                      endpoint. {version} is replaced with the version parameter and
+ *                                                      {path} with the path of the endpoint. Set to false to disable
+ *                                                      versioned paths.
+ * @property {boolean|string} [strictParams=false]     Reject requests with query or body parameters that haven't been declared
+ *                                                      on the endpoint. Set to 'warn' to only list them in the
+ *                                                      unknownParamsHeader instead. Can be overridden by each endpoint.
+ * @property {boolean} [lenientTypes=false]           Treat parameter values that can't be converted to their type as if they
+ *                                                      weren't set instead of rejecting them. Can be overridden by each endpoint.
+ * @property {string[]} [allowParams]                   Parameters that are never treated as unknown in addition to the version
+ *                                                      param, format and callback. Endpoints can add their own list.
+ * @property {string} [unknownParamsHeader=ApiUnknownParams] The header name to return unknown parameters in with strictParams
+ *                                                      set to 'warn'
  * @property {string} [prefix]                          An optional prefix that will be used when generating the api map
  * @property {parseCb} [error]                          An error handler that overrides the default behavior for all params on this endpoint
- * @property {validateCb} [validate]                    A validator the overrides the default behavior for all params on this endpoint
+ * @property {validateCb} [validateParams]              A validator that checks all params of all endpoints in addition to
+ *                                                      the built-in checks (the validate option is only used for versions)
  * @property {parseCb} [success]                        A success handler that overrides the default behavior for all params on this endpoint
  * @property {string} [paramMap=arguments]              The name of the request property where parsed parameters can be found for all endpoints
  * @property {string[]} [paramOrder]                    The order in which parameters are parsed from the client object for all endpoints
  *                                                      The default order is 'params', 'query', 'cookie', 'body' which map to express
  *                                                      properties. Note that if a header is set it is used instead of any of these.
+ *                                                      If a mediaType is configured 'accept' is added to the end of the list
+ *                                                      unless it's already part of it, the same goes for 'host' if a
+ *                                                      hostPattern is configured.
+ * @property {boolean|number} [rejectUnsupported=false] Respond with a list of available versions if no handler accepts the
+ *                                                      requested version of an endpoint. Set to true to respond with 406 or
+ *                                                      to a number to use that status code instead.
  * @property {string} [responseHeader=X-ApiVersion]     The header name to return the resolved version (is a regex|number|string
  *                                                      depending on what was configured on the endpoint). Will not be used
  *                                                      if the headers have already been sent before the router gets a chance.
+ * @property {string} [resolution=first]               How to pick a handler if multiple versions are registered for the same
+ *                                                      path and method. 'first' uses the first one that accepts the version,
+ *                                                      'best' uses the one with the most specific or highest version.
+ * @property {string} [versionType=auto]                How versions are compared by the default validator. 'auto' supports
+ *                                                      numbers, semver, regular expressions and dates (YYYY-MM-DD), 'date'
+ *                                                      treats every version as a release date.
  * @property {function} [routerFunction=express.Router] The router function used to generate Routers
  * @property {boolean} [caseSensitive=false]            Express router option to handle paths respecting case
  * @property {boolean} [mergeParams=false]              Express router option to preserve req.params from parent router
@@ -52,6 +113,9 @@ const versionVerifier = require('./lib/versionVerifier');
  * @property {RouterConfig} configuration                   The router global configuration
  * @property {Object.<string, EndpointConfig>} endpoints    A map of endpoints to store configurations in
  * @property {number|string|RegExp} [acceptVersion]         The version that this endpoint is going to accept
+ * @property {Context[]} [candidates]                       All contexts registered for the same path (any method)
+ * @property {string|RegExp} [path]                         The path that this endpoint has been registered on
+ * @property {string} [method]                              The method this endpoint has been registered for (or use)
  */
 
 /**
@@ -84,11 +148,21 @@ const defaultConfig = {
     header: 'ApiVersion',
     responseHeader: 'ApiVersion',
     passVersion: true,
+    resolution: 'first',
+    versionType: 'auto',
+    overlap: 'warn',
+    canaryKey: 'ip',
+    canaryHeader: 'ApiCanary',
+    pinKey: 'ip',
+    pinHeader: 'ApiPin',
+    unknownParamsHeader: 'ApiUnknownParams',
+    pathTemplate: '/v{version}{path}',
     routerFunction: express.Router
 };
 
-// TODO support use, param and route?
-// TODO return api for specific version with parameter given
+const defaultHostPattern = /^v(\d+)\./;
+
+// TODO support param?
 // TODO write tests for mix between version and api configs
 
 /**
@@ -99,9 +173,30 @@ const defaultConfig = {
 function Router(configuration = {}) {
     configuration = Object.assign({}, defaultConfig, configuration);
     configuration.prefix = normalizePrefix(configuration.prefix);
+    configuration.aliases = Object.assign({}, configuration.aliases);
+    configuration.transformers = [];
+    let template = configuration.pathTemplate;
+    if (template && (!template.includes('{version}') || !template.includes('{path}'))) {
+        throw new Error('The path template needs to contain a {version} and a {path} placeholder');
+    }
+    if (configuration.mediaType && configuration.paramOrder.indexOf('accept') == -1) {
+        configuration.paramOrder = configuration.paramOrder.concat('accept');
+    }
+    if (configuration.hostPattern && configuration.paramOrder.indexOf('host') == -1) {
+        configuration.paramOrder = configuration.paramOrder.concat('host');
+    }
+    if (configuration.paramOrder.indexOf('host') != -1) {
+        configuration.hostPattern = new RegExp(configuration.hostPattern || defaultHostPattern);
+    }
     let router = configuration.routerFunction(configuration);
+    let handle = router.handle;
+    // Unsupported versions are only rejected once none of the routes has handled the request
+    router.handle = (req, res, out) => handle.call(router, req, res,
+        err => err ? out(err) : versionVerifier.respondRejected(req, res, configuration, out));
     let getRouter = generateRouter.bind({routers: [], configuration});
     let endpoints = new Endpoints(configuration);
+    let candidates = {};
+    let originalRoute = router.route;
     for (let method of methods) {
         let original = router[method];
         router[method] = (path, ...args) => {
@@ -112,24 +207,157 @@ function Router(configuration = {}) {
                 configuration,
                 router: methodRouter
             }, epc);
-            let versionHandler = versionVerifier.parseVersion.bind({
-                configuration,
-                acceptVersion: epc.version,
-                router: methodRouter
-            });
-            if (!(epc.path instanceof RegExp)) {
-                epc.original.call(router, epc.versionedPath, versionHandler);
-                methodRouter[epc.method](epc.versionedPath, apiHandler, ...epc.handlers);
+            let context = createContext.call(candidates, configuration, epc, methodRouter);
+            let versionHandler = versionVerifier.parseVersion.bind(context);
+            let guard = versionVerifier.dispatchedTo(context);
+            let handlers = epc.handlers.map(forwardRejections);
+            if (epc.versionedPath) {
+                originalRoute.call(router, epc.versionedPath)[epc.method](versionHandler);
+                methodRouter[epc.method](epc.versionedPath, guard, apiHandler, ...handlers);
             }
-            original.call(router, epc.path, versionHandler);
-            methodRouter[method](epc.path, apiHandler, ...epc.handlers);
+            originalRoute.call(router, epc.path)[epc.method](versionHandler);
+            methodRouter[method](epc.path, guard, apiHandler, ...handlers);
         }
     }
+    let originalUse = router.use;
+    router.use = (...args) => {
+        let hasPath = typeof args[0] == 'string' && !isVersion(args[0]) || args[0] instanceof RegExp;
+        if (!hasPath && typeof args[0] != 'function' && !isVersion(args[0])) {
+            return originalUse.apply(router, args);
+        }
+        let epc = parseParams.call(configuration, originalUse, 'use', hasPath ? args[0] : '/', args.slice(hasPath ? 1 : 0));
+        for (let handler of epc.handlers) {
+            handler._endpoints instanceof Endpoints && endpoints.mount(epc.path, epc.version, handler._endpoints);
+        }
+        if (!epc.version.length) {
+            return originalUse.apply(router, args);
+        }
+        let mountRouter = configuration.routerFunction(configuration);
+        mountRouter.use(...epc.handlers);
+        let versionHandler = versionVerifier.parseVersion.bind(createContext.call(candidates, configuration, epc, mountRouter));
+        epc.versionedPath && originalUse.call(router, epc.versionedPath, versionHandler);
+        originalUse.call(router, epc.path, versionHandler);
+        return router;
+    };
+    router.route = route.bind(router);
+    router.alias = alias.bind({ configuration });
+    router.transform = transform.bind({ configuration });
     router.__defineGetter__('endpoints', prefixEndpoints.bind({ configuration, endpoints }));
+    router.endpointsFor = versionEndpoints.bind({ configuration, endpoints });
     router.api = api.bind({ configuration, endpoints });
+    router._endpoints = endpoints;
     return router;
 }
 
+/**
+ * Checks whether the first argument of router.use is a version instead of a path. Only numbers and strings that are
+ * valid versions, dates or semver ranges are treated as versions, so that paths (including '*') are passed on to express.
+ * @param {*} arg
+ * @returns {boolean}
+ */
+function isVersion(arg) {
+    if (typeof arg == 'number') {
+        return true;
+    }
+    if (typeof arg != 'string' || !arg.length || arg == '*' || arg.includes('/')) {
+        return false;
+    }
+    let range = semver.validRange(arg);
+    return !isNaN(arg) || versionVerifier.isDate(arg) || !!range && range != '*';
+}
+
+/**
+ * Creates the context for a version handler and adds it to the list of candidates that share the same path. Routes of
+ * all methods share one list, middleware mounted with router.use gets a separate one.
+ * @param {RouterConfig} configuration  The router configuration
+ * @param {EndpointConfig} epc          The parsed endpoint configuration
+ * @param {Router} router               The router that will handle requests that have been accepted
+ * @returns {Context}
+ * @this {Object.<string, Context[]>}   A map of all candidates by path
+ */
+function createContext(configuration, epc, router) {
+    let key = (epc.method == 'use' ? 'use ' : 'route ') + epc.path;
+    this[key] = this[key] || [];
+    let context = {
+        configuration,
+        path: epc.path,
+        acceptVersion: epc.version,
+        router,
+        candidates: this[key],
+        method: epc.method
+    };
+    this[key].push(context);
+    return context;
+}
+
+/**
+ * Wraps a request handler so that if it returns a promise (e.g. an async function) that is rejected, the error is
+ * passed on to express. Error handlers keep their signature so that express still recognizes them.
+ * @param {function} handler
+ * @returns {function}
+ */
+function forwardRejections(handler) {
+    let forward = (result, next) => result && typeof result.then == 'function' && result.then(null, next);
+    if (handler.length == 4) {
+        return (err, req, res, next) => forward(handler(err, req, res, next), next);
+    }
+    return (req, res, next) => forward(handler(req, res, next), next);
+}
+
+/**
+ * Returns a proxy for a single path that allows chaining method handlers the same way that express routes do. Each
+ * method accepts the same arguments as the method on the router itself (apart from the path).
+ * @param {string|RegExp} path  The path that all handlers of this route are registered on
+ * @returns {Object.<string, function>} An object with a chainable function for each supported method
+ * @this {Router}
+ */
+function route(path) {
+    let proxy = { path };
+    for (let method of methods) {
+        proxy[method] = (...args) => {
+            this[method](path, ...args);
+            return proxy;
+        };
+    }
+    return proxy;
+}
+
+/**
+ * Sets the version that an alias resolves to. Requests that are already being processed are not affected.
+ * @param {string|Object.<string, string|number>} name  The name of the alias or a map of aliases to set at once
+ * @param {string|number} [version]                     The version to resolve to, or null to remove the alias
+ * @this Context
+ */
+function alias(name, version) {
+    if (typeof name == 'object') {
+        for (let prop in name) {
+            alias.call(this, prop, name[prop]);
+        }
+        return;
+    }
+    if (version === undefined || version === null) {
+        delete this.configuration.aliases[name];
+    } else {
+        this.configuration.aliases[name] = version;
+    }
+}
+
+/**
+ * Registers a transformer between two adjacent versions. Requests for a version that no handler accepts are upgraded
+ * through all transformers until a version is reached that has a handler. Json responses of that handler are then
+ * downgraded in reverse order before they are sent to the client.
+ * @param {string|number} from          The older version
+ * @param {string|number} to            The newer version
+ * @param {Transformer} transformer     An object with a request upgrade and/or response downgrade function
+ * @this Context
+ */
+function transform(from, to, transformer) {
+    if (from === undefined || to === undefined || typeof transformer != 'object') {
+        throw new Error('A transformer needs a version to upgrade from, a version to upgrade to and a configuration');
+    }
+    this.configuration.transformers.push(Object.assign({}, transformer, { from, to }));
+}
+
 /**
  * Parses parameters from a route configuration into an object that is easy to pass around.
  * @param {function} original
@@ -144,14 +372,14 @@ function parseParams(original, method, path, args, config) {
     if (typeof path != 'string' && !(path instanceof RegExp)) {
         throw new Error('First parameter needs to be a path (string or RegExp)')
     }
-    if (path.toString().startsWith('/v:' + this.param)) {
+    if (versionVerifier.unversionPath(path, this) !== path) {
         throw new Error('Versioned paths will be generated automatically, please avoid prefixing paths');
     }
     config = config || {
         original,
         method,
         path,
-        versionedPath: '/v:' + this.param + path,
+        versionedPath: versionVerifier.versionPath(path, this),
         version: [], // TODO rename to versionS
         handlers: []
     };
@@ -187,7 +415,7 @@ function parseParams(original, method, path, args, config) {
  * Returns a router based on the endpoint given. The function will try to minimize the number of routers required to
  * support versions. It does that by looking in an array of routers whether there is one that doesn't have the given
  * router assigned already and returns that one. If all routers are already using the given route, a new router is
- * returned.
+ * returned. Routes registered with router.all conflict with routes of any method on the same path.
  * @param {string|RegExp} endpoint  The endpoint for which we want a router
  * @param {string} method           The http method we want to use
  * @property {RouterMapping[]} routers      The list of existing routers
@@ -199,7 +427,8 @@ function generateRouter(endpoint, method) {
         if (!router.paths[method]) {
             router.paths[method] = [];
         }
-        if (router.paths[method].indexOf(endpoint) == -1) {
+        let conflicts = method == 'all' ? Object.keys(router.paths) : [ method, 'all' ];
+        if (!conflicts.some(conflict => router.paths[conflict] && router.paths[conflict].indexOf(endpoint) != -1)) {
             router.paths[method].push(endpoint);
             return router.instance;
         }
@@ -233,18 +462,51 @@ function prefixEndpoints(prefix) {
     return this.endpoints.list(prefix);
 }
 
+/**
+ * Returns the endpoints that a client requesting the given version would see.
+ * @param {string|number} [version]     The version to filter by, or 'all' to list all versions side by side
+ * @param {string} [prefix]             The prefix to prepend to all paths, defaults to the configured prefix
+ * @returns {Object.<string, Object.<string, EndpointConfig>>} Api map with endpoint config nested in path and method.
+ * @this Context
+ */
+function versionEndpoints(version, prefix = this.configuration.prefix) {
+    if (version && version != 'all' && this.configuration.aliases.hasOwnProperty(version)) {
+        let target = this.configuration.aliases[version];
+        // Weighted aliases are listed with the version that most clients will get
+        version = typeof target == 'object' ? Object.keys(target).reduce((a, b) => target[b] > target[a] ? b : a) : target;
+    }
+    return this.endpoints.list(prefix, version || 0);
+}
+
 /**
  * A standard request handler implementation that will respond with the currently configured api for this router. Can be used to make
- * it easier for developers to work with your API.
+ * it easier for developers to work with your API. The api can be filtered by version using the same parameters and
+ * headers that are used to request a version from any other endpoint.
  * @param {ClientRequest} req   An express client request object
  * @param {ServerResponse} res  An express server response object
  * @this Context
  */
 function api(req, res) {
     let url = req.originalUrl;
-    let prefix = url.substr(0, url.lastIndexOf(req.route.path));
+    let routePath = req.route.path;
+    if (req.params[this.configuration.param] !== undefined) {
+        routePath = routePath.replace(':' + this.configuration.param, req.params[this.configuration.param]);
+    }
+    let prefix = url.substr(0, url.lastIndexOf(routePath));
     prefix = prefix.substr(0, prefix.lastIndexOf(this.configuration.prefix));
-    responder.respond(req, res, prefixEndpoints.call(this, prefix.length ? prefix : this.configuration.prefix));
+    let { version } = versionVerifier.findVersion(req, this.configuration);
+    let map = versionEndpoints.call(this, version, prefix.length ? prefix : this.configuration.prefix);
+    if (this.configuration.paramOrder.indexOf('host') != -1 && Object.keys(map).length) {
+        map = Object.assign({ _meta: { hostPattern: this.configuration.hostPattern.toString() } }, map);
+    }
+    responder.respond(req, res, map);
 }
 
+/**
+ * Registers a custom parameter type that can be used by the endpoints of all routers.
+ * @type {function}
+ * @see apiVerifier.addType
+ */
+Router.addType = apiVerifier.addType;
+
 module.exports = Router;
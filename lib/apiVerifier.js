@@ -1,4 +1,6 @@
+const URL = require('url').URL;
 const responder = require('./responder');
+const schema = require('./schema');
 
 /**
  * @typedef {object} EndpointConfig
@@ -19,7 +21,14 @@ const responder = require('./responder');
  * @property {string} [description]     A description of the parameter that will be printed with the endpoints api info
  * @property {number} [min]             min characters for string, min value for number, ignored for boolean
  * @property {number} [max]             max characters for string, min value for number, ignored for boolean
- * @property {validateCb} [validate]    A validator the overrides the default behavior for this parameter
+ * @property {validateCb} [validate]    A validator that checks this parameter in addition to the built-in checks
+ * @property {Object.<string, ParamDef>} [params]   The definitions of the properties if the type is object
+ * @property {string[]} [enum]          The values that are allowed, required if the type is enum
+ * @property {string|RegExp} [pattern]  A regular expression that string values have to match
+ * @property {number} [minItems]        min number of values if the parameter is an array
+ * @property {number} [maxItems]        max number of values if the parameter is an array
+ * @property {number} [multipleOf]      A number that numeric values have to be a multiple of
+ * @property {string} [typeDescription] The description of a custom type, set automatically from the type definition
  */
 
 /**
@@ -27,7 +36,8 @@ const responder = require('./responder');
  * @param {string} value    The value received from the request
  * @param {string} name     The name of the parameter that we're checking
  * @param {ParamDef} config The configuration for this parameter
- * @returns {string}    An error message or any falsy value if the parameter is valid
+ * @returns {string|MissingInfo|Promise}  An error message (or an object with a code and an error message) or any falsy
+ *                                      value if the parameter is valid, or a promise that resolves to one
  */
 
 /**
@@ -47,16 +57,64 @@ exports.configure = function(context, { path, method, api, version, versionedPat
     api.paramOrder = api.paramOrder || context.configuration.paramOrder;
     api.paramMap = api.paramMap || context.configuration.paramMap || 'args';
     api.params = api.params || {};
+    api.schema && (api.params = Object.assign(schema.toParams(api.schema), api.params));
     version.length && (api.version = version);
     for (let param in api.params) {
         let parsed = exports.parseParam(api.params[param]);
         parsed.error = parsed.error | api.error || context.configuration.error;
-        parsed.validate = parsed.validate || api.validate || context.configuration.validate;
+        parsed.validate = parsed.validate || api.validate || context.configuration.validateParams;
         parsed.success = parsed.success || api.success || context.configuration.success;
         api.params[param] = parsed;
     }
     context.endpoints.add(path, method, version, api);
-    return exports.verify.bind(context);
+    let verify = exports.verify.bind(context);
+    if (api.deprecated === undefined && api.sunset === undefined) {
+        return verify;
+    }
+    if (typeof api.deprecated != 'boolean' && api.deprecated !== undefined && isNaN(new Date(api.deprecated))) {
+        throw new Error('Invalid deprecation date given for ' + method + ' ' + path + ': ' + api.deprecated);
+    }
+    if (api.sunset !== undefined && (typeof api.sunset == 'boolean' || isNaN(new Date(api.sunset)))) {
+        throw new Error('Invalid sunset date given for ' + method + ' ' + path + ': ' + api.sunset);
+    }
+    let enforceSunset = api.enforceSunset === undefined ? context.configuration.enforceSunset : api.enforceSunset;
+    return (req, res, next) => exports.deprecate(api, enforceSunset, req, res) || verify(req, res, next);
+};
+
+/**
+ * Adds the Deprecation, Sunset and Link headers of an endpoint that is being retired to the response. If the sunset
+ * date has passed and enforceSunset is set, the request is answered with 410 Gone instead.
+ * @param {EndpointConfig} api      The configuration for this endpoint
+ * @param {boolean} enforceSunset   Whether to reject requests after the sunset date has passed
+ * @param {ClientRequest} req       The incoming http request
+ * @param {ServerResponse} res      The outgoing http response
+ * @returns {boolean} True if the request has already been answered
+ */
+exports.deprecate = function(api, enforceSunset, req, res) {
+    let sunset = api.sunset !== undefined && new Date(api.sunset);
+    if (sunset && enforceSunset && sunset <= Date.now()) {
+        responder.respond(req, res, {
+            error: 'This endpoint is no longer available',
+            sunset: sunset.toISOString(),
+            successor: api.successor
+        }, 410);
+        return true;
+    }
+    if (res.headersSent) {
+        return false;
+    }
+    switch (typeof api.deprecated) {
+        case 'boolean':
+            api.deprecated && res.set('Deprecation', 'true');
+            break;
+        case 'undefined':
+            break;
+        default:
+            res.set('Deprecation', '@' + Math.floor(new Date(api.deprecated).getTime() / 1000));
+    }
+    sunset && res.set('Sunset', sunset.toUTCString());
+    api.successor && res.append('Link', '<' + api.successor + '>; rel="successor-version"');
+    return false;
 };
 
 /**
@@ -65,6 +123,85 @@ exports.configure = function(context, { path, method, api, version, versionedPat
  */
 const paramMatcher = /(\w+)(\[])?(\(([^)]*)\))?/;
 
+/**
+ * Used to find the allowed values of an enum parameter in a string definition, e.g. enum(asc|desc).
+ * @type {RegExp}
+ */
+const enumMatcher = /^\s*enum\(([^)]*)\)/i;
+
+/**
+ * The patterns that the values of string based types have to match.
+ * @type {Object.<string, RegExp>}
+ */
+const formats = {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+/**
+ * The names of the types that are handled by parseValue itself and can't be replaced with a custom type.
+ * @type {string[]}
+ */
+const builtinTypes = [
+    'object', '*', 'any', 'string', 'bool', 'boolean', 'number', 'float', 'double', 'integer', 'short', 'enum', 'date',
+    'datetime', 'email', 'uuid', 'url'
+];
+
+/**
+ * The custom types that have been registered with addType, stored by their lower case name.
+ * @type {Object.<string, TypeDef>}
+ */
+const types = {};
+
+/**
+ * @typedef {Object} TypeDef
+ * @property {function} [parse]         Converts an incoming value (usually a string) into the type, returns undefined if the
+ *                                      value is invalid. Without a parser values are passed on as they are.
+ * @property {validateCb} [validate]    Checks a parsed value and returns an error message (or a promise) if it's not valid
+ * @property {string|function} [describe]   A description of the type that is included in the api map, or a function that
+ *                                          receives the parameter definition and returns one
+ */
+
+/**
+ * Registers a custom parameter type that can be used in all parameter definitions, including arrays (e.g. money[]) and
+ * defaults in the string format (e.g. money(0 EUR)). Types need to be registered before any endpoint uses them.
+ * @param {string} name         The name of the type, case insensitive
+ * @param {TypeDef} definition  How values of the type are parsed, validated and described
+ */
+exports.addType = function(name, definition = {}) {
+    if (typeof name != 'string' || !/^\w+$/.test(name)) {
+        throw new Error('Invalid name given for custom type: ' + name);
+    }
+    if (builtinTypes.includes(name.toLowerCase())) {
+        throw new Error('Unable to replace built-in type: ' + name);
+    }
+    types[name.toLowerCase()] = Object.assign({ name }, definition);
+};
+
+/**
+ * Returns the custom type with the given name.
+ * @param {string} type
+ * @returns {TypeDef|undefined}
+ */
+function customType(type) {
+    return typeof type == 'string' && types.hasOwnProperty(type.toLowerCase()) ? types[type.toLowerCase()] : undefined;
+}
+
+/**
+ * Adds the description of a custom type to a parameter definition, so that it shows up in the api map.
+ * @param {ParamDef} param
+ * @returns {ParamDef}
+ */
+function addTypeDescription(param) {
+    let custom = customType(param.type);
+    if (custom && custom.describe && param.typeDescription === undefined) {
+        param.typeDescription = typeof custom.describe == 'function' ? custom.describe(param) : custom.describe;
+    }
+    return param;
+}
+
 /**
  * Converts a string parameter into a parameter definition.
  * @param {string|ParamDef} str
@@ -72,14 +209,24 @@ const paramMatcher = /(\w+)(\[])?(\(([^)]*)\))?/;
  */
 exports.parseParam = function(str) {
     if (typeof str == 'string') {
+        let values;
+        str = str.replace(enumMatcher, (match, list) => {
+            values = list.split('|').map(value => value.trim());
+            return 'enum';
+        });
         let match = str.match(paramMatcher);
         let type = match[1].trim().toLowerCase();
+        customType(type) && (type = customType(type).name);
         let array = !!match[2];
         let required = !match[3];
         let def = exports.parseValue(type, match[4], array);
-        return { type, default: def, required, array }
+        let param = { type, default: def, required, array };
+        values && (param.enum = values);
+        type == 'enum' && checkEnum(param);
+        return addTypeDescription(param);
     }
     if (typeof str == 'object') {
+        str.type == 'enum' && checkEnum(str);
         switch(str.required) {
             case 0: case 'FALSE': case 'false': case 'F': case 'f': case 'no': case 'n': case false:
                 str.required = false;
@@ -89,27 +236,102 @@ exports.parseParam = function(str) {
         }
         str.default = str.default !== undefined ? str.default : undefined;
         str.array = !!str.array;
-        return str;
+        for (let param in str.params) {
+            str.params[param] = exports.parseParam(str.params[param]);
+        }
+        return addTypeDescription(str);
     }
     throw new Error('Given parameter is incompatible');
 };
 
 /**
- *
- * @param {string} type     The type of value to be parsed from the given string
- * @param {string} value    The string from which to parse the value from
- * @param {boolean} array   Whether the value is expected to be an array
+ * Makes sure that an enum parameter has a list of allowed values.
+ * @param {ParamDef} param
+ */
+function checkEnum(param) {
+    if (!Array.isArray(param.enum) || !param.enum.length) {
+        throw new Error('No values given for enum parameter');
+    }
+}
+
+/**
+ * Converts an incoming value into the type of its parameter. Values that can't be converted are dropped (i.e. returned as
+ * undefined), or in strict mode wrapped so that checkParams can report them.
+ * @param {string} type                         The type of value to be parsed from the given string
+ * @param {string} value                        The string from which to parse the value from
+ * @param {boolean} array                       Whether the value is expected to be an array
+ * @param {Object.<string, ParamDef>} [params]  The definitions of the properties if the value is an object
+ * @param {boolean} [strict=false]              Whether to keep values that can't be converted as InvalidValue
  * @returns {*}
  */
-exports.parseValue = function(type, value, array) {
+exports.parseValue = function(type, value, array, params, strict) {
+    let raw = value;
+    if (type == 'object' && typeof value == 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return strict ? new InvalidValue(raw) : undefined;
+        }
+    }
     if (Array.isArray(value)) {
-        return value.map(entry => exports.parseValue(type, entry, false));
-    } else if (value && array) {
-        return value.split(',').map(entry => exports.parseValue(type, entry, false));
+        return value.map(entry => exports.parseValue(type, entry, false, params, strict));
+    } else if (value && array && typeof value == 'string') {
+        return value.split(',').map(entry => exports.parseValue(type, entry, false, undefined, strict));
+    }
+    let parsed = convert(type, value, params, strict);
+    if (strict && parsed === undefined && value !== undefined && value !== null && value !== '') {
+        return new InvalidValue(raw);
+    }
+    return parsed;
+};
+
+/**
+ * Wraps a value that couldn't be converted to the type of its parameter, so that it can be reported as error.
+ */
+class InvalidValue {
+    /**
+     * @param {*} value The value as it has been received
+     */
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Converts a single value into the given type.
+ * @param {string} type                         The type of value to be parsed from the given string
+ * @param {*} value                             The value to be converted
+ * @param {Object.<string, ParamDef>} [params]  The definitions of the properties if the value is an object
+ * @param {boolean} [strict=false]              Whether to keep values that can't be converted as InvalidValue
+ * @returns {*}
+ */
+function convert(type, value, params, strict) {
+    let custom = customType(type);
+    if (custom) {
+        if (value === undefined || value === '' || !custom.parse) {
+            return value === '' ? undefined : value;
+        }
+        try {
+            return custom.parse(value);
+        } catch (e) {
+            return undefined;
+        }
     }
     switch (type) {
+        case 'object':
+            if (!value || typeof value != 'object') {
+                return undefined;
+            }
+            let parsed = Object.assign({}, value);
+            for (let prop in params) {
+                if (value[prop] !== undefined) {
+                    parsed[prop] = exports.parseValue(params[prop].type, value[prop], params[prop].array, params[prop].params, strict);
+                }
+            }
+            return parsed;
         case '*':
         case 'any':
+            return value === '' ? undefined : value;
         case 'string':
             value && value.length || (value = undefined);
             return value;
@@ -126,17 +348,59 @@ exports.parseValue = function(type, value, array) {
                     return undefined;
             }
         case 'number': case 'float': case 'double':
-            value = parseFloat(value);
+            value = strict ? toNumber(value) : parseFloat(value);
             isNaN(value) && (value = undefined);
             return value;
         case 'integer': case 'short':
-            value = parseInt(value);
-            isNaN(value) && (value = undefined);
+            value = strict ? toNumber(value) : parseInt(value);
+            (isNaN(value) || !Number.isInteger(value)) && (value = undefined);
+            return value;
+        case 'enum':
+            value === '' && (value = undefined);
             return value;
+        case 'date': case 'datetime':
+            if (value instanceof Date) {
+                return value;
+            }
+            if (typeof value != 'string' || !formats[type].test(value) || !isCalendarDay(value.substr(0, 10))) {
+                return undefined;
+            }
+            return new Date(type == 'date' ? value + 'T00:00:00Z' : value);
+        case 'email': case 'uuid':
+            return typeof value == 'string' && formats[type].test(value) ? value : undefined;
+        case 'url':
+            try {
+                return typeof value == 'string' && /^https?:$/.test(new URL(value).protocol) && value || undefined;
+            } catch (e) {
+                return undefined;
+            }
         default:
             throw new Error('Invalid type defined for parameter: ' + type);
     }
-};
+}
+
+/**
+ * Converts a value into a finite number, but unlike parseFloat only if the whole value is a number (e.g. not 5abc).
+ * @param {*} value
+ * @returns {number} The number or NaN if the value isn't one
+ */
+function toNumber(value) {
+    if (typeof value == 'string' && value.trim().length) {
+        value = Number(value);
+    }
+    return typeof value == 'number' && isFinite(value) ? value : NaN;
+}
+
+/**
+ * Checks that a date in the format YYYY-MM-DD exists in the calendar (e.g. to reject 2023-02-30).
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isCalendarDay(value) {
+    let [ year, month, day ] = value.split('-').map(Number);
+    let date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() == month - 1 && date.getUTCDate() == day;
+}
 
 /**
  * This function is called with every request on this router and verifies incoming parameters and auto populates default
@@ -147,13 +411,15 @@ exports.parseValue = function(type, value, array) {
  * @this Context
  */
 exports.verify = function(req, res, next) {
-    let config = this.endpoints.get(req.route.path, req.method, req.incomingVersion);
+    let config = this.endpoints.get(req.route.path, req.method, req.transformedVersion || req.incomingVersion);
     if (!config) {
         return next();
     }
+    let configuration = this.configuration || {};
+    let lenient = config.lenientTypes !== undefined ? config.lenientTypes : configuration.lenientTypes;
     let params;
     try {
-        params = exports.getParams(config, req);
+        params = exports.getParams(config, req, !lenient);
     } catch (e) {
         if (config.error) {
             return config.error(e, req, res, next);
@@ -163,39 +429,56 @@ exports.verify = function(req, res, next) {
             params: {}
         }, 422, next);
     }
-    let missing = exports.checkParams(config, params);
-    if (Object.keys(missing).length) {
-        if (config.error) {
-            return config.error(missing, req, res, next)
+    let strict = config.strictParams !== undefined ? config.strictParams : configuration.strictParams;
+    let unknown = strict ? exports.findUnknown(config, req, configuration) : [];
+    if (unknown.length && strict == 'warn' && configuration.unknownParamsHeader && !res.headersSent) {
+        res.set(configuration.unknownParamsHeader, unknown.join(', '));
+    }
+    exports.checkParams(config, params, (err, missing) => {
+        if (err) {
+            return next(err);
+        }
+        if (strict != 'warn') {
+            for (let param of unknown) {
+                missing[param] = [{ code: 'unknown', type: 'any', error: 'unknown parameter' }];
+            }
         }
-        if (process.env.NODE_ENV == 'development') {
-            return responder.respond(req, res, {
-                error: 'Required parameters are missing',
-                params: missing
-            }, 422, next);
+        if (Object.keys(missing).length) {
+            if (config.error) {
+                return config.error(missing, req, res, next)
+            }
+            if (process.env.NODE_ENV == 'development') {
+                return responder.respond(req, res, {
+                    error: 'Required parameters are missing',
+                    params: missing
+                }, 422, next);
+            }
+            return responder.respond(req, res, null, 422, next);
         }
-        return responder.respond(req, res, null, 422, next);
-    }
-    req[config.paramMap] = exports.fillParams(config, params);
-    if (config.success) {
-        return config.success(null, req, res, next);
-    }
-    next();
+        req[config.paramMap] = exports.fillParams(config, params);
+        if (config.success) {
+            return config.success(null, req, res, next);
+        }
+        next();
+    });
 };
 
 /**
  * Retrieves any parameters that are on the client request.
  * @param {EndpointConfig} config   The configuration of this endpoint
  * @param {ClientRequest} req       The express client request
+ * @param {boolean} [strict=false]  Whether to keep values that can't be converted to their type, so that checkParams
+ *                                  reports them instead of treating them as not set
  * @returns {Object.<string, *>}    A map with all the passed in parameters that were found on the request object
  */
-exports.getParams = function(config, req) {
+exports.getParams = function(config, req, strict) {
     let params = {};
     for (let prop of config.paramOrder) {
         if (req[prop]) {
             for (let param in req[prop]) {
                 if (params[param] === undefined && config.params[param]) {
-                    params[param] = exports.parseValue(config.params[param].type, req[prop][param], config.params[param].array);
+                    let paramConfig = config.params[param];
+                    params[param] = exports.parseValue(paramConfig.type, req[prop][param], paramConfig.array, paramConfig.params, strict);
                 }
             }
         }
@@ -203,59 +486,125 @@ exports.getParams = function(config, req) {
     return params;
 };
 
+/**
+ * Returns the names of all query and body parameters that haven't been declared for this endpoint. The version
+ * parameter, the format parameter, the jsonp callback and anything on the allowParams list of the endpoint or the router
+ * are ignored.
+ * @param {EndpointConfig} config       The configuration of this endpoint
+ * @param {ClientRequest} req           The express client request
+ * @param {RouterConfig} configuration  The global router configuration
+ * @returns {string[]}
+ */
+exports.findUnknown = function(config, req, configuration) {
+    let allowed = [ configuration.param, 'format', 'callback' ].concat(config.allowParams || [], configuration.allowParams || []);
+    let unknown = [];
+    for (let prop of [ 'query', 'body' ]) {
+        let values = req[prop];
+        if (config.paramOrder.includes(prop) && values && typeof values == 'object' && !Buffer.isBuffer(values)) {
+            for (let param in values) {
+                config.params[param] || allowed.includes(param) || unknown.includes(param) || unknown.push(param);
+            }
+        }
+    }
+    return unknown;
+};
+
 /**
  * @typedef {Object} MissingInfo
+ * @property {string} code  A stable code for the check that failed: required, type, min_length, max_length, min_value,
+ *                          max_value, min_items, max_items, enum, pattern, multiple_of, unknown or invalid (for custom
+ *                          validators that don't return a code of their own)
  * @property {string} type  The parameter type such as boolean, number or string
  * @property {string} error A short description of the error that occurred
  * @property {number} [min] If the parameter is out of range, information about the range settings
  * @property {number} [max] If the parameter is out of range, information about the range settings
+ * @property {string[]} [enum] If the value is not allowed, the values that are
+ * @property {string} [pattern] If the value doesn't match the pattern, the pattern it has to match
+ * @property {number} [minItems] If there are not enough values, the minimum number of values
+ * @property {number} [maxItems] If there are too many values, the maximum number of values
+ * @property {number} [multipleOf] If the value is not a multiple, the number it has to be a multiple of
+ * @property {*} [value] If the value can't be converted to the type of the parameter, the value as it has been received
  */
 
 /**
- * Verifies that all required parameters are set and fulfill all requirements.
+ * Verifies that all required parameters are set and fulfill all requirements. If the endpoint has a schema the
+ * parameters are validated against it as well. Custom validators that return a promise are only included in the result
+ * if a callback is given.
  * @param {EndpointConfig} config       The configuration for this endpoint
  * @param {Object.<string, *>} params   The parameters that have been found on the client request
- * @returns {Object.<string, MissingInfo>}   A map of parameter names and any errors that have been found with them
+ * @param {function} [cb]               Called with an error (if a validator has been rejected) and all errors that have
+ *                                      been found once all validators are done
+ * @returns {Object.<string, MissingInfo[]>}   A map of parameter names and all errors that have been found with them
  */
-exports.checkParams = function(config, params) {
+exports.checkParams = function(config, params, cb) {
     let errors = {};
-    for (let param in config.params) {
-        let value = params[param];
-        let paramConfig = config.params[param];
-        if (paramConfig.validate) {
-            let error = paramConfig.validate(value, param, paramConfig);
-            if (error) {
-                errors[param] = { type: paramConfig.type, error }
-            }
+    let pending = [];
+    checkObject(config.params, params, '', errors, pending);
+    // Defaults are filled in first, so that the schema sees the same values as the handler
+    config.schema && schema.validate(config.schema, fillObject(config.params, Object.assign({}, params)), config.schema, '', errors);
+    if (cb) {
+        pending.length ? Promise.all(pending).then(() => cb(null, errors), cb) : cb(null, errors);
+    }
+    return errors;
+};
+
+/**
+ * Checks the values of an object against their definitions and recurses into any nested objects. Errors of nested
+ * parameters are reported with the dotted path of the parameter (e.g. address.zip or items.0.name).
+ * @param {Object.<string, ParamDef>} definitions   The parameter definitions for this level
+ * @param {Object.<string, *>} values               The values that have been found for this level
+ * @param {string} prefix                           The path of this level including a trailing dot
+ * @param {Object.<string, MissingInfo[]>} errors   The map that any errors will be added to
+ * @param {Promise[]} pending                       The list that promises of async validators will be added to
+ */
+function checkObject(definitions, values, prefix, errors, pending) {
+    for (let param in definitions) {
+        let name = prefix + param;
+        let value = values[param];
+        let paramConfig = definitions[param];
+        let invalid = [].concat(value).find(entry => entry instanceof InvalidValue);
+        if (invalid) {
+            schema.report(errors, name, { code: 'type', type: paramConfig.type, error: 'invalid type', value: invalid.value });
             continue;
         }
+        checkConstraints(paramConfig, name, value, errors);
+        let custom = customType(paramConfig.type);
+        if (custom && custom.validate && value !== undefined) {
+            for (let entry of [].concat(value)) {
+                runValidator(custom.validate, entry, name, paramConfig, errors, pending);
+            }
+        }
+        paramConfig.validate && runValidator(paramConfig.validate, value, name, paramConfig, errors, pending);
         if (paramConfig.required && (value === undefined || Array.isArray(value) && !value.length)) {
-            errors[param] = {
+            schema.report(errors, name, {
+                code: 'required',
                 type: paramConfig.type,
                 error: 'not set'
-            }
+            });
         }
-        let values = Array.isArray(value) ? value : [value];
-        for (let value of values) {
+        let entries = Array.isArray(value) ? value : [value];
+        for (let value of entries) {
             if (value) {
                 if (!isNaN(paramConfig.max)) {
                     switch (paramConfig.type) {
                         case 'string':
                             if (value.length > paramConfig.max) {
-                                errors[param] = {
+                                schema.report(errors, name, {
+                                    code: 'max_length',
                                     type: paramConfig.type,
                                     error: 'value exceeds max value',
                                     max: paramConfig.max
-                                }
+                                });
                             }
                             break;
                         case 'number':
                             if (value > paramConfig.max) {
-                                errors[param] = {
+                                schema.report(errors, name, {
+                                    code: 'max_value',
                                     type: paramConfig.type,
                                     error: 'value exceeds max value',
                                     max: paramConfig.max
-                                }
+                                });
                             }
                             break;
                     }
@@ -264,29 +613,84 @@ exports.checkParams = function(config, params) {
                     switch (paramConfig.type) {
                         case 'string':
                             if (value.length < paramConfig.min) {
-                                errors[param] = {
+                                schema.report(errors, name, {
+                                    code: 'min_length',
                                     type: paramConfig.type,
                                     error: 'value below min value',
                                     min: paramConfig.min
-                                }
+                                });
                             }
                             break;
                         case 'number':
                             if (value < paramConfig.min) {
-                                errors[param] = {
+                                schema.report(errors, name, {
+                                    code: 'min_value',
                                     type: paramConfig.type,
                                     error: 'value below min value',
                                     min: paramConfig.min
-                                }
+                                });
                             }
                             break;
                     }
                 }
             }
         }
+        if (paramConfig.type == 'object' && paramConfig.params) {
+            if (Array.isArray(value)) {
+                value.forEach((entry, i) => entry && checkObject(paramConfig.params, entry, name + '.' + i + '.', errors, pending));
+            } else if (value) {
+                checkObject(paramConfig.params, value, name + '.', errors, pending);
+            }
+        }
     }
-    return errors;
-};
+}
+
+/**
+ * Calls a custom validator and adds the error it returns (or resolves to) to the errors of the parameter.
+ * @param {validateCb} validator                    The validator of the parameter or its type
+ * @param {*} value                                 The value to validate
+ * @param {string} name                             The name of the parameter including the path of any parent objects
+ * @param {ParamDef} paramConfig                    The definition of the parameter
+ * @param {Object.<string, MissingInfo[]>} errors   The map that any errors will be added to
+ * @param {Promise[]} pending                       The list that promises of async validators will be added to
+ */
+function runValidator(validator, value, name, paramConfig, errors, pending) {
+    let result = validator(value, name, paramConfig);
+    let check = error => error && schema.report(errors, name, Object.assign({ code: 'invalid', type: paramConfig.type },
+        typeof error == 'object' ? error : { error }));
+    result && typeof result.then == 'function' ? pending.push(result.then(check)) : check(result);
+}
+
+/**
+ * Checks the declarative constraints (enum, pattern, minItems, maxItems and multipleOf) of a parameter. These are
+ * checked even if the parameter has a custom validator. The constraint that has been violated is included in the error.
+ * @param {ParamDef} paramConfig                    The definition of the parameter
+ * @param {string} name                             The name of the parameter including the path of any parent objects
+ * @param {*} value                                 The value that has been found on the request
+ * @param {Object.<string, MissingInfo[]>} errors   The map that any errors will be added to
+ */
+function checkConstraints(paramConfig, name, value, errors) {
+    if (value === undefined) {
+        return;
+    }
+    let fail = (code, error, constraint) => schema.report(errors, name, Object.assign({ code, type: paramConfig.type, error }, constraint));
+    let entries = Array.isArray(value) ? value : [value];
+    if (paramConfig.array || Array.isArray(value)) {
+        entries.length < paramConfig.minItems && fail('min_items', 'too few items', { minItems: paramConfig.minItems });
+        entries.length > paramConfig.maxItems && fail('max_items', 'too many items', { maxItems: paramConfig.maxItems });
+    }
+    for (let entry of entries) {
+        if (Array.isArray(paramConfig.enum) && !paramConfig.enum.includes(entry)) {
+            fail('enum', 'value is not allowed', { enum: paramConfig.enum });
+        }
+        if (paramConfig.pattern && typeof entry == 'string' && !new RegExp(paramConfig.pattern).test(entry)) {
+            fail('pattern', 'value does not match pattern', { pattern: String(paramConfig.pattern) });
+        }
+        if (paramConfig.multipleOf && typeof entry == 'number' && !schema.isMultiple(entry, paramConfig.multipleOf)) {
+            fail('multiple_of', 'value is not a multiple', { multipleOf: paramConfig.multipleOf });
+        }
+    }
+}
 
 /**
  * Sets the default value for any parameter that hasn't been set by the client request.
@@ -295,10 +699,68 @@ exports.checkParams = function(config, params) {
  * @returns {Object.<string, *>}    The parameter map with filled default values.
  */
 exports.fillParams = function(config, params) {
-    for (let param in config.params) {
-        if (params[param] === undefined) {
-            params[param] = config.params[param].default;
+    return fillObject(config.params, params);
+};
+
+/**
+ * Sets the default values of an object and recurses into any nested objects.
+ * @param {Object.<string, ParamDef>} definitions   The parameter definitions for this level
+ * @param {Object.<string, *>} values               The values that have been found for this level
+ * @returns {Object.<string, *>}
+ */
+function fillObject(definitions, values) {
+    for (let param in definitions) {
+        let paramConfig = definitions[param];
+        if (values[param] === undefined) {
+            values[param] = copyDefault(paramConfig);
+        }
+        if (paramConfig.type == 'object' && paramConfig.params && values[param]) {
+            for (let entry of [].concat(values[param])) {
+                entry && fillObject(paramConfig.params, entry);
+            }
         }
     }
-    return params;
-};
+    return values;
+}
+
+/**
+ * Returns the default value of a parameter. Anything that isn't a primitive (e.g. objects, arrays, dates or the values
+ * of custom types) is copied, so that changes to the value (e.g. filling in nested defaults) don't change the
+ * configuration.
+ * @param {ParamDef} paramConfig
+ * @returns {*}
+ */
+function copyDefault(paramConfig) {
+    if (paramConfig.default === undefined) {
+        return undefined;
+    }
+    switch (paramConfig.type) {
+        case 'date': case 'datetime':
+            return Array.isArray(paramConfig.default)
+                ? paramConfig.default.map(date => new Date(date)) : new Date(paramConfig.default);
+        default:
+            return clone(paramConfig.default);
+    }
+}
+
+/**
+ * Creates a deep copy of a value. Objects keep their prototype, so that instances of classes stay instances.
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+    if (value instanceof Date) {
+        return new Date(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (!value || typeof value != 'object') {
+        return value;
+    }
+    let copy = Object.create(Object.getPrototypeOf(value));
+    for (let prop of Object.keys(value)) {
+        copy[prop] = clone(value[prop]);
+    }
+    return copy;
+}
@@ -8,9 +8,23 @@ class Endpoints {
      */
     constructor(configuration) {
         this._mapping = {};
+        this._mounts = [];
+        this._merged = {};
         this._config = configuration;
     }
 
+    /**
+     * Adds the endpoints of a router that has been mounted on the router of this mapping.
+     * @param {string|RegExp} path                      The path the router has been mounted on
+     * @param {Array.<number|string|RegExp>} versions   The versions the router has been mounted for
+     * @param {Endpoints} endpoints                     The endpoint mapping of the mounted router
+     */
+    mount(path, versions, endpoints) {
+        if (typeof path == 'string') {
+            this._mounts.push({ path, versions, endpoints });
+        }
+    }
+
     /**
      * Add a new configuration to the endpoint mapping.
      * @param {string} path
@@ -21,17 +35,20 @@ class Endpoints {
     add(path, method, versions, config) {
         versions = versions.length ? versions : [ 0 ];
         path = this._unversion(path);
-        config.versions = versions;
         method = method.toUpperCase();
+        versions[0] !== 0 && this._checkOverlap(path, method, versions, config);
+        config.versions = versions;
         for (let version of versions) {
             this._mapping[version] = this._mapping[version] || {};
             this._mapping[version][path] = this._mapping[version][path] || {};
             this._mapping[version][path][method] = config;
         }
+        this._merged = {};
     }
 
     /**
-     * Retrieve the mapping configuration for an endpoint.
+     * Retrieve the mapping configuration for an endpoint. If multiple versioned configurations accept the incoming
+     * version, they are merged into one.
      * @param {string} path
      * @param {string} method
      * @param {string} incomingVersion
@@ -40,51 +57,236 @@ class Endpoints {
     get(path, method, incomingVersion = 0) {
         path = this._unversion(path);
         try {
-            let config = {};
+            let configs = [];
+            let versions = [];
+            let validator = versionVerifier.validator(this._config).bind({ versions: this.versions(path, method) });
             for (let version in this._mapping) {
-                if (versionVerifier.validateVersion(incomingVersion, version)) {
-                    config[version] = config[version] || {};
-                    config[version][path] = config[version][path] || {};
-                    config[version][path][method] = this._mapping[version][path].ALL || this._mapping[version][path][method];
+                let endpoint = this._mapping[version][path];
+                let endpointConfig = endpoint && (endpoint.ALL || endpoint[method]);
+                if (version != 0 && endpointConfig && validator(incomingVersion, version)) {
+                    versions.push(version);
+                    !configs.includes(endpointConfig) && configs.push(endpointConfig);
                 }
             }
-            if (Object.keys(config).length == 1) {
-                return config[Object.keys(config)[0]][path][method];
+            // Endpoints without a version accept any version, but are only used if there's no versioned configuration
+            if (!configs.length) {
+                let endpoint = this._mapping[0] && this._mapping[0][path];
+                return endpoint && (endpoint.ALL || endpoint[method]) || null;
             }
-            // TODO not sure where and how to use this, but the format is wrong.
-            // TODO if there are multiple configs for one endpoint, we need to merge the two and make every parameter optional
-            // TODO or throw a warning that config overlap
-            return config;
+            if (configs.length == 1) {
+                return configs[0];
+            }
+            let key = method + ' ' + path + ' ' + versions.join(' ');
+            return this._merged[key] = this._merged[key] || this._merge(configs);
         } catch (e) {
             return null;
         }
     }
 
     /**
-     * Removes the version prefix from a given path (if there is one)
+     * Combines multiple configurations of the same endpoint into one. Parameters that are not defined (or not
+     * required) in every configuration become optional, for everything else the first configuration wins.
+     * @param {EndpointConfig[]} configs
+     * @returns {EndpointConfig}
+     * @private
+     */
+    _merge(configs) {
+        let merged = Object.assign({}, configs[0], { params: {}, versions: [] });
+        for (let config of configs) {
+            for (let version of config.versions) {
+                !merged.versions.includes(version) && merged.versions.push(version);
+            }
+            for (let name in config.params) {
+                if (!merged.params[name]) {
+                    let required = configs.every(entry => entry.params && entry.params[name] && entry.params[name].required);
+                    merged.params[name] = Object.assign({}, config.params[name], { required });
+                }
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Compares a new configuration with all configurations of the same endpoint that accept some of the same versions.
+     * Depending on the overlap setting any differences in their parameters are printed as a warning or thrown as an
+     * error.
+     * @param {string} path
+     * @param {string} method
+     * @param {Array.<number|string|RegExp>} versions
+     * @param {EndpointConfig} config
+     * @private
+     */
+    _checkOverlap(path, method, versions, config) {
+        let mode = this._config.overlap || 'warn';
+        if (mode == 'ignore') {
+            return;
+        }
+        let validator = versionVerifier.validator(this._config)
+            .bind({ versions: this.versions(path, method).concat(versions) });
+        let checked = [];
+        for (let version in this._mapping) {
+            let endpoint = this._mapping[version][path];
+            let existing = version != 0 && endpoint && endpoint[method];
+            if (!existing || existing === config || checked.includes(existing)) {
+                continue;
+            }
+            checked.push(existing);
+            if (!versionVerifier.versionsOverlap(existing.versions, versions, validator)) {
+                continue;
+            }
+            let conflicts = this._compare(existing.params, config.params);
+            if (!conflicts.length) {
+                continue;
+            }
+            let message = 'Overlapping api configuration for ' + method + ' ' + path + ' (versions '
+                + existing.versions.join(', ') + ' and ' + versions.join(', ') + '): ' + conflicts.join(', ');
+            if (mode == 'throw') {
+                throw new Error(message);
+            }
+            console.warn(message);
+        }
+    }
+
+    /**
+     * Returns a description of every difference between two parameter definitions that matters when they are merged.
+     * @param {Object.<string, ParamDef>} [a]
+     * @param {Object.<string, ParamDef>} [b]
+     * @returns {string[]}
+     * @private
+     */
+    _compare(a = {}, b = {}) {
+        let conflicts = [];
+        let typeOf = param => (param.type == '*' ? 'any' : param.type) + (param.array ? '[]' : '');
+        for (let name of new Set(Object.keys(a).concat(Object.keys(b)))) {
+            if (!a[name] || !b[name]) {
+                conflicts.push('parameter ' + name + ' is not defined for all versions and will be optional');
+            } else if (typeOf(a[name]) != typeOf(b[name])) {
+                conflicts.push('parameter ' + name + ' has incompatible types (' + typeOf(a[name]) + ' and '
+                    + typeOf(b[name]) + ')');
+            } else if (JSON.stringify(a[name].default) !== JSON.stringify(b[name].default)) {
+                conflicts.push('parameter ' + name + ' has different defaults (' + JSON.stringify(a[name].default)
+                    + ' and ' + JSON.stringify(b[name].default) + ')');
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Returns all versions that have a configuration for the given endpoint.
+     * @param {string} path
+     * @param {string} method
+     * @returns {string[]}
+     */
+    versions(path, method) {
+        let versions = [];
+        for (let version in this._mapping) {
+            let endpoint = this._mapping[version][path];
+            endpoint && (endpoint.ALL || endpoint[method]) && versions.push(version);
+        }
+        return versions;
+    }
+
+    /**
+     * Removes the version from a given path according to the configured path template (if there is one)
      * @param {string} path
      * @returns {string}
      * @private
      */
     _unversion(path) {
-        if (path.startsWith('/v:' + this._config.param)) {
-            return path.substr(('/v:' + this._config.param).length);
-        }
-        return path;
+        return versionVerifier.unversionPath(path, this._config);
     }
 
     /**
-     *
+     * Returns the api map of all endpoints. Without a version only endpoints that have been registered without one are
+     * listed, which leaves out routers that have been mounted for a version. With a version the map contains all endpoints that a client requesting that version would see. With the
+     * keyword 'all' the endpoints of every registered version are listed side by side, mapped by version.
      * @param {string} [prefix]
-     * @param {string|number|RegExp} [version]
+     * @param {string|number} [version]
+     * @returns {Object}
      */
     list(prefix = this._config.prefix, version = 0) {
+        if (version == 'all') {
+            return this._listAll(prefix);
+        }
         let map = {};
-        for (let prop in this._mapping[version]) {
-            map[path.join(prefix, prop)] = this._mapping[version][prop];
+        let validator = versionVerifier.validator(this._config);
+        for (let mount of this._mounts) {
+            if (mount.versions.length && (version == 0 || !validator(version, mount.versions))) {
+                continue;
+            }
+            let mounted = mount.endpoints.list(path.join(prefix, mount.path), version);
+            for (let prop in mounted) {
+                map[prop] = map[prop] || {};
+                for (let method in mounted[prop]) {
+                    map[prop][method] = this._annotate(mounted[prop][method], mount.versions);
+                }
+            }
+        }
+        if (version == 0) {
+            for (let prop in this._mapping[version]) {
+                map[path.join(prefix, prop)] = Object.assign({}, map[path.join(prefix, prop)], this._mapping[version][prop]);
+            }
+            return map;
+        }
+        for (let bucket in this._mapping) {
+            for (let prop in this._mapping[bucket]) {
+                for (let method in this._mapping[bucket][prop]) {
+                    let config = this.get(prop, method, version);
+                    if (config) {
+                        map[path.join(prefix, prop)] = map[path.join(prefix, prop)] || {};
+                        map[path.join(prefix, prop)][method] = config;
+                    }
+                }
+            }
         }
         return map;
+    }
 
+    /**
+     * Returns the api maps of all registered versions mapped by version.
+     * @param {string} prefix
+     * @returns {Object.<string, Object>}
+     * @private
+     */
+    _listAll(prefix) {
+        let all = {};
+        for (let mount of this._mounts) {
+            let mounted = mount.endpoints._listAll(path.join(prefix, mount.path));
+            for (let version in mounted) {
+                let versions = version == 0 && mount.versions.length ? mount.versions : [ version ];
+                for (let mountVersion of versions) {
+                    all[mountVersion] = all[mountVersion] || {};
+                    for (let prop in mounted[version]) {
+                        all[mountVersion][prop] = all[mountVersion][prop] || {};
+                        for (let method in mounted[version][prop]) {
+                            all[mountVersion][prop][method] = this._annotate(mounted[version][prop][method], mount.versions);
+                        }
+                    }
+                }
+            }
+        }
+        for (let version in this._mapping) {
+            all[version] = all[version] || {};
+            for (let prop in this._mapping[version]) {
+                all[version][path.join(prefix, prop)] = Object.assign({}, all[version][path.join(prefix, prop)],
+                    this._mapping[version][prop]);
+            }
+        }
+        return all;
+    }
+
+    /**
+     * Sets the versions of a router mount on the configuration of an endpoint that doesn't have a version of its own.
+     * @param {Object} config                           The configuration of an endpoint on the mounted router
+     * @param {Array.<number|string|RegExp>} versions   The versions the router has been mounted for
+     * @returns {Object}
+     * @private
+     */
+    _annotate(config, versions) {
+        if (versions.length && config.versions && config.versions.length == 1 && config.versions[0] == 0) {
+            return Object.assign({}, config, { versions });
+        }
+        return config;
     }
 }
 
@@ -13,24 +13,25 @@ exports.respond = function(req, res, payload, status, next) {
         return res.end();
     }
     let format = req.params && req.params['format'] || req.query && req.query['format'] || 'json';
+    // Any other format replaces the content type that might have been negotiated for json (e.g. a vendor media type)
     switch(format.toLowerCase()) {
         case 'json':
             res.jsonp ? res.jsonp(payload).end() : res.json(payload).end();
             break;
         case 'tree':
-            res.send('<html><body style="white-space: pre">' + JSON.stringify(payload, null, 4) + '</body></html>').end();
+            res.type('html').send('<html><body style="white-space: pre">' + JSON.stringify(payload, null, 4) + '</body></html>').end();
             break;
         case 'table':
-            res.send(exports.formatTable(payload)).end();
+            res.type('html').send(exports.formatTable(payload)).end();
             break;
         case 'csv':
-            res.send(exports.formatCSV(payload)).end();
+            res.type('csv').send(exports.formatCSV(payload)).end();
             break;
         case 'xml':
-            res.send('<xml version="1.0" encoding="UTF-8">' + exports.formatXML(payload)).end() + '</xml>';
+            res.type('xml').send('<xml version="1.0" encoding="UTF-8">' + exports.formatXML(payload)).end() + '</xml>';
             break;
         default:
-            res.status(422).send('Invalid format requested').end();
+            res.status(422).type('text').send('Invalid format requested').end();
     }
     next && next(new Error('Unable to process request (Status ' + status + '): ' + JSON.stringify(payload)));
 };
@@ -68,9 +69,9 @@ exports.formatCSV = function (payload) {
     let response = table.headers.join(',') + '\n';
     for (let row of table.rows) {
         for(let i = 0; i < row.length; i++) {
-            row[i].replace(/"/g, '\\"');
-            if (row[i].indexOf(',') !== -1) {
-                row[i] = '"' + row[i] + '"';
+            row[i] = row[i] === undefined || row[i] === null ? '' : '' + row[i];
+            if (/[",\r\n]/.test(row[i])) {
+                row[i] = '"' + row[i].replace(/"/g, '""') + '"';
             }
         }
         response += row.join(',') + '\n';
@@ -95,32 +96,60 @@ exports.flatten = function(payload) {
     let response = {
         rows: []
     };
-    if (payload.error) {
+    if (payload.error && payload.versions) {
+        response.title = payload.error;
+        response.headers = [ 'requested', 'available' ];
+        for (let version of payload.versions) {
+            response.rows.push([ payload.version ? '' + payload.version : '', '' + version ]);
+        }
+    } else if (payload.error) {
         response.title = payload.error;
         response.headers = [ 'param', 'type', 'error', 'max', 'min'];
+        // Each parameter can have a list of errors, every one of them is printed in its own row
+        let errors = [];
         for (let param in payload.params) {
+            for (let info of [].concat(payload.params[param])) {
+                errors.push({ param, info });
+            }
+        }
+        // Codes and constraints only get a column if at least one of the errors has them
+        let constraints = [ 'code', 'enum', 'pattern', 'minItems', 'maxItems', 'multipleOf' ]
+            .filter(constraint => errors.some(({ info }) => info[constraint] !== undefined));
+        response.headers.push(...constraints);
+        for (let { param, info } of errors) {
             response.rows.push([
                 param,
-                payload.params[param].type,
-                payload.params[param].error,
-                isNaN(payload.params[param].max) ? '' : payload.params[param].max,
-                isNaN(payload.params[param].min) ? '' : payload.params[param].min
-            ])
+                info.type,
+                info.error,
+                isNaN(info.max) ? '' : info.max,
+                isNaN(info.min) ? '' : info.min
+            ].concat(constraints.map(constraint => describeConstraint(info[constraint]))))
         }
     } else {
         response.title = 'Api Map';
         response.headers = [ 'path', 'method', 'description', 'param', 'type', 'paramDescription'];
-        for (let path in payload) {
-            for (let method in payload[path]) {
-                for (let param in payload[path][method].params) {
-                    response.rows.push([
-                        path,
-                        method,
-                        payload[path][method].description,
-                        param,
-                        payload[path][method].params[param].type,
-                        payload[path][method].params[param].description
-                    ]);
+        let map = Object.assign({}, payload);
+        delete map._meta;
+        // Paths always start with a slash, any other key is a version when listing all versions side by side
+        let versioned = Object.keys(map).some(key => !key.startsWith('/'));
+        versioned && response.headers.unshift('version');
+        let maps = versioned ? map : { '': map };
+        for (let version in maps) {
+            for (let path in maps[version]) {
+                for (let method in maps[version][path]) {
+                    let endpoint = maps[version][path][method];
+                    for (let param in endpoint.params) {
+                        let row = [
+                            path,
+                            method,
+                            endpoint.description,
+                            param,
+                            describeType(endpoint.params[param]),
+                            endpoint.params[param].description || endpoint.params[param].typeDescription
+                        ];
+                        versioned && row.unshift(version);
+                        response.rows.push(row);
+                    }
                 }
             }
         }
@@ -129,6 +158,28 @@ exports.flatten = function(payload) {
 };
 
 
+/**
+ * Returns a constraint of a parameter as a string that can be printed in a table cell.
+ * @param {*} constraint
+ * @returns {string}
+ */
+function describeConstraint(constraint) {
+    if (constraint === undefined) {
+        return '';
+    }
+    return Array.isArray(constraint) ? constraint.join('|') : '' + constraint;
+}
+
+/**
+ * Returns the type of a parameter the same way it would be written in a string definition, e.g. enum(asc|desc)[].
+ * @param {ParamDef} param
+ * @returns {string}
+ */
+function describeType(param) {
+    let type = param.type == 'enum' && Array.isArray(param.enum) ? 'enum(' + param.enum.join('|') + ')' : param.type;
+    return param.array ? type + '[]' : type;
+}
+
 
 /**
  * Creates an XML response of the json data passed in.
@@ -139,7 +190,10 @@ exports.formatXML = function (payload) {
     let response = '';
     if (typeof payload == 'object') {
         for (let prop in payload) {
-            response += '<' + prop + '>' + exports.formatXML(payload[prop]) + '</' + prop + '>';
+            let entries = Array.isArray(payload[prop]) ? payload[prop] : [ payload[prop] ];
+            for (let entry of entries) {
+                response += '<' + prop + '>' + exports.formatXML(entry) + '</' + prop + '>';
+            }
         }
         return response;
     }
@@ -0,0 +1,240 @@
+/**
+ * @typedef {Object|boolean} JSONSchema
+ * A JSON Schema (draft-07 or newer). Supported keywords are type, enum, const, pattern, minLength, maxLength, minimum,
+ * maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, minItems, maxItems, items, required, properties,
+ * additionalProperties and $ref pointing into the same document (e.g. #/definitions/address or #/$defs/address).
+ */
+
+/**
+ * Follows any $ref of the given schema until a schema without a reference is found.
+ * @param {JSONSchema} schema   The schema that might be a reference
+ * @param {JSONSchema} root     The document that the references point into
+ * @returns {JSONSchema}
+ */
+exports.resolve = function(schema, root) {
+    let seen = [];
+    while (schema && typeof schema.$ref == 'string') {
+        if (seen.includes(schema.$ref)) {
+            throw new Error('Circular schema reference: ' + schema.$ref);
+        }
+        seen.push(schema.$ref);
+        if (schema.$ref != '#' && !schema.$ref.startsWith('#/')) {
+            throw new Error('Unsupported schema reference: ' + schema.$ref);
+        }
+        let target = root;
+        for (let token of schema.$ref.substr(2).split('/').filter(token => token.length)) {
+            token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+            if (!target || typeof target != 'object' || !(token in target)) {
+                throw new Error('Unable to resolve schema reference: ' + schema.$ref);
+            }
+            target = target[token];
+        }
+        schema = target;
+    }
+    return schema;
+};
+
+/**
+ * Validates a value against a schema and adds any errors that have been found to the given map. Errors are listed by
+ * the dotted path of the value (e.g. address.zip or items.0.name).
+ * @param {JSONSchema} schema                       The schema to validate against
+ * @param {*} value                                 The value to validate
+ * @param {JSONSchema} [root]                       The document that references point into, defaults to the schema
+ * @param {string} [path]                           The path of the value, used as key for any errors
+ * @param {Object.<string, MissingInfo[]>} [errors] The map that any errors will be added to
+ * @returns {Object.<string, MissingInfo[]>}
+ */
+exports.validate = function(schema, value, root = schema, path = '', errors = {}) {
+    schema = exports.resolve(schema, root);
+    if (schema === true || schema === undefined) {
+        return errors;
+    }
+    let type = typeName(schema);
+    let fail = (code, error, info) => exports.report(errors, path, Object.assign({ code, type, error }, info));
+    if (schema === false) {
+        fail('enum', 'value is not allowed');
+        return errors;
+    }
+    if (schema.type && ![].concat(schema.type).some(type => isType(type, value))) {
+        fail('type', 'invalid type');
+        return errors;
+    }
+    if (schema.enum && !schema.enum.some(entry => equals(entry, value))) {
+        fail('enum', 'value is not allowed', { enum: schema.enum });
+    }
+    if (schema.const !== undefined && !equals(schema.const, value)) {
+        fail('enum', 'value is not allowed', { enum: [ schema.const ] });
+    }
+    if (typeof value == 'string') {
+        let length = [...value].length;
+        length > schema.maxLength && fail('max_length', 'value exceeds max value', { max: schema.maxLength });
+        length < schema.minLength && fail('min_length', 'value below min value', { min: schema.minLength });
+        schema.pattern && !new RegExp(schema.pattern, 'u').test(value) && fail('pattern', 'value does not match pattern', { pattern: schema.pattern });
+    }
+    if (typeof value == 'number') {
+        value > schema.maximum && fail('max_value', 'value exceeds max value', { max: schema.maximum });
+        value >= schema.exclusiveMaximum && fail('max_value', 'value exceeds max value', { max: schema.exclusiveMaximum });
+        value < schema.minimum && fail('min_value', 'value below min value', { min: schema.minimum });
+        value <= schema.exclusiveMinimum && fail('min_value', 'value below min value', { min: schema.exclusiveMinimum });
+        schema.multipleOf && !exports.isMultiple(value, schema.multipleOf) && fail('multiple_of', 'value is not a multiple', { multipleOf: schema.multipleOf });
+    }
+    if (Array.isArray(value)) {
+        value.length > schema.maxItems && fail('max_items', 'too many items', { maxItems: schema.maxItems });
+        value.length < schema.minItems && fail('min_items', 'too few items', { minItems: schema.minItems });
+        value.forEach((entry, i) => {
+            let items = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+            exports.validate(items, entry, root, join(path, i), errors);
+        });
+        return errors;
+    }
+    if (value && typeof value == 'object') {
+        let properties = schema.properties || {};
+        for (let name of schema.required || []) {
+            if (value[name] === undefined) {
+                exports.report(errors, join(path, name), {
+                    code: 'required',
+                    type: typeName(exports.resolve(properties[name], root)),
+                    error: 'not set'
+                });
+            }
+        }
+        for (let name in value) {
+            if (value[name] === undefined) {
+                continue;
+            }
+            if (name in properties) {
+                exports.validate(properties[name], value[name], root, join(path, name), errors);
+            } else if (schema.additionalProperties === false) {
+                exports.report(errors, join(path, name), { code: 'unknown', type: 'any', error: 'unknown property' });
+            } else if (schema.additionalProperties !== undefined) {
+                exports.validate(schema.additionalProperties, value[name], root, join(path, name), errors);
+            }
+        }
+    }
+    return errors;
+};
+
+/**
+ * Checks whether a number is a multiple of another one, allowing for rounding errors of floating point numbers.
+ * @param {number} value
+ * @param {number} factor
+ * @returns {boolean}
+ */
+exports.isMultiple = function(value, factor) {
+    let quotient = value / factor;
+    return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+};
+
+/**
+ * Adds an error to the list of errors of a value, unless the same error (code and message) has already been reported,
+ * e.g. by both the parameter definition and the schema.
+ * @param {Object.<string, MissingInfo[]>} errors   The map of paths (or parameter names) and their errors
+ * @param {string} path                             The path of the value, e.g. the name of a parameter including the
+ *                                                  path of any parent objects
+ * @param {MissingInfo} info                        The error that has been found
+ */
+exports.report = function(errors, path, info) {
+    errors[path] = errors[path] || [];
+    errors[path].some(entry => entry.code == info.code && entry.error == info.error) || errors[path].push(info);
+};
+
+/**
+ * Converts the properties of an object schema into parameter definitions, so that incoming values can be parsed into
+ * the right type, defaults can be filled in and the parameters show up in the api map.
+ * @param {JSONSchema} schema   The object schema describing the parameters
+ * @param {JSONSchema} [root]   The document that references point into, defaults to the schema
+ * @returns {Object.<string, ParamDef>}
+ */
+exports.toParams = function(schema, root = schema) {
+    return toParams(schema, root, []);
+};
+
+/**
+ * Converts the properties of an object schema and keeps track of the schemas that are already being converted, so
+ * that recursive schemas don't result in endless nesting.
+ * @param {JSONSchema} schema   The object schema describing the parameters
+ * @param {JSONSchema} root     The document that references point into
+ * @param {JSONSchema[]} seen   The schemas that are being converted further up
+ * @returns {Object.<string, ParamDef>}
+ */
+function toParams(schema, root, seen) {
+    schema = exports.resolve(schema, root);
+    let params = {};
+    let required = schema && schema.required || [];
+    for (let name in schema && schema.properties) {
+        let property = exports.resolve(schema.properties[name], root) || {};
+        let param = {
+            type: typeName(property),
+            required: required.includes(name) && property.default === undefined,
+            array: false,
+            default: property.default
+        };
+        property.description && (param.description = property.description);
+        if (param.type == 'array') {
+            property = exports.resolve(Array.isArray(property.items) ? {} : property.items, root) || {};
+            param.type = typeName(property) == 'array' ? 'any' : typeName(property);
+            param.array = true;
+        }
+        if (param.type == 'object' && !seen.includes(property)) {
+            param.params = toParams(property, root, seen.concat([property]));
+        }
+        params[name] = param;
+    }
+    return params;
+}
+
+/**
+ * Returns the parameter type that matches the type of a schema best.
+ * @param {JSONSchema} schema
+ * @returns {string}
+ */
+function typeName(schema) {
+    let type = [].concat(schema && schema.type || []).filter(type => type != 'null');
+    if (type.length == 1) {
+        return type[0];
+    }
+    return !type.length && schema && schema.properties ? 'object' : 'any';
+}
+
+/**
+ * Checks whether a value is of the given JSON type.
+ * @param {string} type
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isType(type, value) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return !!value && typeof value == 'object' && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value == 'number' && isFinite(value);
+        default:
+            return typeof value == type;
+    }
+}
+
+/**
+ * Compares two JSON values by their content.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Appends a property name or index to a dotted path.
+ * @param {string} path
+ * @param {string|number} name
+ * @returns {string}
+ */
+function join(path, name) {
+    return path === '' ? String(name) : path + '.' + name;
+}
@@ -1,3 +1,4 @@
+const responder = require('./responder');
 const semver = require('semver');
 
 /**
@@ -8,7 +9,9 @@ const semver = require('semver');
  *                                                      async, otherwise you can just return the truth value.
  * @property {ClientRequest} req    The http request object
  * @property {ServerResponse} res   The http response object
- * @returns {boolean|*} Should return a boolean if no callback has been provided, otherwise this value is ignored.
+ * @returns {boolean|Promise|*} Should return a boolean if no callback has been provided, otherwise this value is ignored.
+ *                              Instead of calling the callback a promise can be returned that resolves to the truth
+ *                              value. If the promise is rejected the error is passed on to express.
  */
 
 /**
@@ -16,6 +19,31 @@ const semver = require('semver');
  * @param {boolean} match   Signal whether the version is a match or not.
  */
 
+/**
+ * Keeps track of which candidates have already been tried for a request when resolving the best matching version.
+ * @type {WeakMap<ClientRequest, Set<Context>>}
+ */
+const dispatched = new WeakMap();
+
+/**
+ * Keeps track of the context that a request has been dispatched to last, since routes of different paths share routers.
+ * @type {WeakMap<ClientRequest, Context>}
+ */
+const active = new WeakMap();
+
+/**
+ * Keeps track of the first unsupported version response of a request, which is only sent once no other route of the
+ * router has handled the request.
+ * @type {WeakMap<ClientRequest, {configuration: RouterConfig, status: number, payload: Object}>}
+ */
+const rejected = new WeakMap();
+
+/**
+ * Keeps track of the version that a client has been pinned to, so that the resolver only runs once per request.
+ * @type {WeakMap<ClientRequest, string>}
+ */
+const pinned = new WeakMap();
+
 /**
  *
  * @param {ClientRequest} req
@@ -24,28 +52,733 @@ const semver = require('semver');
  * @this {Context}
  */
 exports.parseVersion = function (req, res, next) {
-    let version = null;
-    for (let params of this.configuration.paramOrder) {
-        if (params == 'header') {
-            version = version || req.get(this.configuration.header);
-        } else {
-            version = version || req[params] && req[params][this.configuration.param];
+    let { version, mediaType } = exports.findVersion(req, this.configuration);
+    // The response depends on the Accept header, even if the version has been found elsewhere this time
+    this.configuration.mediaType && !res.headersSent && res.vary('Accept');
+    if (version || !this.configuration.resolveVersion) {
+        return resolveVersion.call(this, req, res, next, version, mediaType);
+    }
+    exports.resolvePin(req, this.configuration, (err, pin) => {
+        if (err) {
+            return next(err);
         }
+        resolveVersion.call(this, req, res, next, pin, mediaType, pin);
+    });
+};
+
+/**
+ * Resolves the version a client has asked for (or the pin, default or alias that applies instead) and passes the
+ * request on to the handler that accepts it.
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {function} next
+ * @param {string} version                  The version that was found on the request
+ * @param {MediaTypeVersion} mediaType      The media type that has been negotiated with the client
+ * @param {string} [pin]                    The version the client has been pinned to
+ * @this {Context}
+ */
+function resolveVersion(req, res, next, version, mediaType, pin) {
+    let candidates = exports.matchingCandidates(this, req);
+    let defaulted = false;
+    let canary;
+    if (!version && this.configuration.defaultVersion !== undefined) {
+        canary = exports.resolveCanary(this.configuration.defaultVersion, req, this.configuration);
+        version = exports.resolveDefault(canary || this.configuration.defaultVersion, candidates, req);
+        defaulted = version !== undefined && version !== null;
+    }
+    let alias;
+    if (version && this.configuration.aliases && this.configuration.aliases.hasOwnProperty(version)) {
+        alias = version;
+        canary = exports.resolveCanary(this.configuration.aliases[alias], req, this.configuration);
+        version = (canary || this.configuration.aliases[alias]).toString();
+    }
+    let requested = { version, mediaType, defaulted, alias, canary, pin };
+    let validate = (this.configuration.validate || exports.validator(this.configuration)).bind({
+        req,
+        res,
+        versions: exports.registeredVersions(candidates)
+    });
+    let validator = (version, acceptVersion, cb) => exports.settle(cb => validate(version, acceptVersion, cb), cb, cb, next);
+    if (this.configuration.resolution == 'best') {
+        return exports.findBestMatch(validator, version, candidates, req, (context, acceptedVersion) => {
+            if (!context) {
+                return reject.call(this, req, res, next, requested, validator);
+            }
+            dispatch.call(context, req, res, next, requested, acceptedVersion);
+        });
     }
-    let validator = (this.configuration.validate || exports.validateVersion).bind({req, res});
     validator(version, this.acceptVersion, matches => {
         if (matches) {
-            if (this.configuration.passVersion) {
-                req.incomingVersion = version;
-                req.acceptedVersion = this.acceptedVersion;
-            }
-            if (this.acceptVersion && !res.headersSent && this.configuration.responseHeader) {
-                res.set(this.configuration.responseHeader, this.acceptVersion.toString());
-            }
-            return this.router.handle(req, res, next);
+            return dispatch.call(this, req, res, next, requested, this.acceptVersion);
+        }
+        reject.call(this, req, res, next, requested, validator);
+    });
+}
+
+/**
+ * Looks up the version that a client has been pinned to using the resolveVersion hook of the router. The hook is
+ * either a function that receives the request and a callback, a function that only takes the request and returns the
+ * version (or a promise of it), or a map of client keys (see pinKey) to versions.
+ * @param {ClientRequest} req
+ * @param {RouterConfig} configuration
+ * @param {function} cb     Called with an error or the pinned version (undefined if the client isn't pinned)
+ */
+exports.resolvePin = function(req, configuration, cb) {
+    if (pinned.has(req)) {
+        return cb(null, pinned.get(req));
+    }
+    let done = (err, version) => {
+        version = version === undefined || version === null ? undefined : version.toString();
+        err || pinned.set(req, version);
+        cb(err, version);
+    };
+    let resolver = configuration.resolveVersion;
+    if (typeof resolver == 'function') {
+        let hook = resolver.length < 2 ? req => Promise.resolve(resolver(req)) : resolver;
+        return exports.settle(done => hook(req, done), done, version => done(null, version), done);
+    }
+    let key = exports.clientKey(req, configuration.pinKey);
+    done(null, resolver.hasOwnProperty(key) ? resolver[key] : undefined);
+};
+
+/**
+ * Runs a hook that either calls its callback or returns a promise. Only the first result counts, so that hooks that do
+ * both (e.g. an async function calling the callback) don't continue the request twice.
+ * @param {function} hook       Called with the callback, may return a promise
+ * @param {function} cb         Called with the arguments the hook passed to its callback
+ * @param {function} resolve    Called with the resolved value if the hook returned a promise
+ * @param {function} reject     Called with the error if the promise is rejected
+ */
+exports.settle = function(hook, cb, resolve, reject) {
+    let settled = false;
+    let once = fn => (...args) => {
+        if (!settled) {
+            settled = true;
+            fn(...args);
+        }
+    };
+    let result = hook(once(cb));
+    if (result && typeof result.then == 'function') {
+        result.then(once(resolve), once(reject));
+    }
+};
+
+/**
+ * Looks through all configured sources of a request and returns the first version that has been found.
+ * @param {ClientRequest} req
+ * @param {RouterConfig} configuration
+ * @returns {{version: string|null, mediaType: MediaTypeVersion|null}}
+ */
+exports.findVersion = function(req, configuration) {
+    let version = null;
+    let mediaType = null;
+    for (let params of configuration.paramOrder) {
+        switch (params) {
+            case 'header':
+                version = version || req.get(configuration.header);
+                break;
+            case 'host':
+                if (!version && configuration.hostPattern && req.hostname) {
+                    let match = req.hostname.match(configuration.hostPattern);
+                    version = match && (match[1] || match[0]);
+                }
+                break;
+            case 'accept':
+                if (!version && configuration.mediaType) {
+                    mediaType = exports.parseAccept(req.get('Accept'), configuration.mediaType);
+                    version = mediaType && mediaType.version;
+                }
+                break;
+            default:
+                version = version || req[params] && req[params][configuration.param];
+        }
+    }
+    return { version, mediaType };
+};
+
+/**
+ * Generates the path that a versioned endpoint is registered on from the configured path template, by replacing
+ * {version} with the version parameter and {path} with the original path.
+ * @param {string|RegExp} path
+ * @param {RouterConfig} configuration
+ * @returns {string|null} The versioned path or null if there is none (path versioning is disabled or path is a RegExp)
+ */
+exports.versionPath = function(path, configuration) {
+    if (!configuration.pathTemplate || typeof path != 'string') {
+        return null;
+    }
+    return configuration.pathTemplate.replace('{version}', ':' + configuration.param).replace('{path}', path);
+};
+
+/**
+ * Reverses versionPath() and returns the original path of a versioned path. Any other path is returned unchanged. The
+ * prefix only counts if it isn't followed by more characters of the same segment or param name (e.g. /:vendor/items
+ * isn't versioned by the template /{version}{path}).
+ * @param {string|RegExp} path
+ * @param {RouterConfig} configuration
+ * @returns {string|RegExp}
+ */
+exports.unversionPath = function(path, configuration) {
+    if (!configuration.pathTemplate || typeof path != 'string') {
+        return path;
+    }
+    let [ before, after ] = exports.versionPath('{path}', configuration).split('{path}');
+    if (path.length > before.length + after.length && path.startsWith(before) && path.endsWith(after)
+        && !/^\w/.test(path.substr(before.length))) {
+        return path.substr(before.length, path.length - before.length - after.length);
+    }
+    return path;
+};
+
+/**
+ * Returns the built in validator for the version type that has been configured.
+ * @param {RouterConfig} configuration
+ * @returns {versionCb}
+ */
+exports.validator = function(configuration) {
+    return configuration.versionType == 'date' ? exports.validateDate : exports.validateVersion;
+};
+
+/**
+ * @typedef {Object} RequestedVersion
+ * @property {string} version                   The version that the client asked for (or the default that applied)
+ * @property {MediaTypeVersion} [mediaType]     The media type that has been negotiated with the client
+ * @property {boolean} defaulted                True if the client didn't send a version and the default was used
+ * @property {string} [alias]                   The alias the client asked for if the version has been resolved from one
+ * @property {string} [canary]                  The version that has been picked by weight if the default or alias is weighted
+ * @property {string} [pin]                     The version the client has been pinned to if it didn't send one
+ * @property {Transformer[]} [transformers]     The transformers that upgrade the request to a version with a handler
+ */
+
+/**
+ * @typedef {Object} Transformer
+ * @property {string|number} from                   The version that requests are upgraded from
+ * @property {string|number} to                     The version that requests are upgraded to
+ * @property {string|string[]} [path]               Limits the transformer to endpoints registered on these paths
+ * @property {function} [request]                   Called with (req, res) to upgrade the request to the newer version
+ * @property {function} [response]                  Called with (body, req, res) and returns the body of a json response
+ *                                                  downgraded to the older version
+ */
+
+/**
+ * @typedef {Object} AliasedVersion
+ * @property {string} alias     The alias that was sent by the client
+ * @property {string} version   The version that the alias resolved to, which is also returned when converted to a string
+ */
+
+/**
+ * Passes a request on to the router of a context that has accepted the version of the request.
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {function} next
+ * @param {RequestedVersion} requested                      The version that was requested by the client
+ * @param {string|number|RegExp|Array} acceptedVersion      The version configuration that accepted the request
+ * @this {Context}
+ */
+function dispatch(req, res, next, requested, acceptedVersion) {
+    triedCandidates(req).add(this);
+    active.set(req, this);
+    if (this.configuration.passVersion) {
+        req.incomingVersion = requested.alias ? {
+            alias: requested.alias,
+            version: requested.version,
+            toString: () => requested.version
+        } : requested.version;
+        req.acceptedVersion = acceptedVersion;
+        requested.transformers && (req.transformedVersion = requested.transformers[requested.transformers.length - 1].to);
+        requested.canary && (req.canaryVersion = requested.canary);
+        requested.pin && (req.pinnedVersion = requested.pin);
+    }
+    if (requested.transformers) {
+        exports.transform(requested.transformers, req, res);
+    }
+    let responseVersion = requested.defaulted || requested.alias || requested.pin || requested.transformers
+        ? requested.version : acceptedVersion;
+    if (responseVersion !== undefined && !res.headersSent && this.configuration.responseHeader) {
+        res.set(this.configuration.responseHeader, responseVersion.toString());
+    }
+    if (requested.pin && !res.headersSent && this.configuration.pinHeader) {
+        res.set(this.configuration.pinHeader, requested.pin);
+    }
+    if (requested.canary && !res.headersSent && this.configuration.canaryHeader) {
+        res.set(this.configuration.canaryHeader, requested.canary);
+    }
+    if (requested.mediaType) {
+        exports.applyMediaType(requested.mediaType, res);
+    }
+    this.router.handle(req, res, next);
+}
+
+/**
+ * Returns a handler that skips the rest of a route unless the request has been dispatched to the given context. Routes
+ * with overlapping paths (e.g. /users/:id and /users/me) can end up on the same router, which would otherwise run the
+ * first matching route no matter which one accepted the version.
+ * @param {Context} context
+ * @returns {function}
+ */
+exports.dispatchedTo = function(context) {
+    return (req, res, next) => next(active.get(req) === context ? undefined : 'route');
+};
+
+/**
+ * Makes sure that json responses are sent with the media type that has been negotiated with the client (e.g.
+ * application/vnd.acme.v2+json), unless the handler has set a content type of its own. Other responses keep theirs.
+ * @param {MediaTypeVersion} mediaType  The media type that has been negotiated with the client
+ * @param {ServerResponse} res
+ */
+exports.applyMediaType = function(mediaType, res) {
+    for (let method of [ 'json', 'jsonp' ]) {
+        let original = res[method];
+        res[method] = (...args) => {
+            res.get('Content-Type') || res.set('Content-Type', mediaType.type);
+            return original.apply(res, args);
+        };
+    }
+};
+
+/**
+ * Called when a context doesn't accept the version of a request. If this is the last candidate for the path and method
+ * and none of the others have accepted the request either, the list of available versions is prepared (if
+ * rejectUnsupported is enabled), but only sent by respondRejected once no other route of the router handles the
+ * request (e.g. a route on an overlapping path). The request is always passed on to the next handler.
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {function} next
+ * @param {RequestedVersion} requested      The version that was requested by the client
+ * @this {Context}
+ */
+function reject(req, res, next, requested, validator) {
+    let status = this.configuration.rejectUnsupported === true ? 406 : this.configuration.rejectUnsupported;
+    let tried = triedCandidates(req);
+    let candidates = exports.matchingCandidates(this, req);
+    // Mounted middleware never answers a request itself, other routes might still accept it
+    if (this.method == 'use' || candidates[candidates.length - 1] !== this || candidates.some(c => tried.has(c))) {
+        return next();
+    }
+    exports.findTransformation(validator, requested.version, this, req, (context, acceptedVersion, transformers) => {
+        if (context) {
+            return dispatch.call(context, req, res, next, Object.assign({}, requested, { transformers }), acceptedVersion);
         }
+        status && !rejected.has(req) && rejected.set(req, {
+            configuration: this.configuration,
+            status,
+            payload: {
+                error: requested.version ? 'Requested version is not supported' : 'No version has been requested',
+                version: requested.alias || requested.version,
+                versions: exports.registeredVersions(candidates)
+            }
+        });
         next();
     });
+}
+
+/**
+ * Called once a request has passed all routes of a router without being handled. If one of the routes has rejected
+ * the requested version and no handler has been dispatched to, the client is told which versions are available.
+ * Otherwise the request is passed on.
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {RouterConfig} configuration  The configuration of the router that the request has passed
+ * @param {function} next
+ */
+exports.respondRejected = function(req, res, configuration, next) {
+    let rejection = rejected.get(req);
+    if (!rejection || rejection.configuration !== configuration || triedCandidates(req).size) {
+        return next();
+    }
+    rejected.delete(req);
+    responder.respond(req, res, rejection.payload, rejection.status);
+};
+
+/**
+ * Follows the registered transformers from the requested version to newer versions until a candidate is found that
+ * accepts the upgraded version.
+ * @param {versionCb} validator     The validator used to check whether a version is accepted
+ * @param {string} version          The version that was sent by the client
+ * @param {Context} context         The context of the last candidate for the requested path and method
+ * @param {ClientRequest} req       The request that is being processed
+ * @param {function} cb             Called with the chosen context, the matching version and the transformers to apply
+ */
+exports.findTransformation = function(validator, version, context, req, cb) {
+    let available = (context.configuration.transformers || []).filter(transformer => !transformer.path
+        || [].concat(transformer.path).some(path => path.toString() == context.path.toString()));
+    let candidates = exports.matchingCandidates(context, req);
+    let transformers = [];
+    (function upgrade(version) {
+        if (!version || transformers.length == available.length) {
+            return cb();
+        }
+        (function check(index) {
+            if (index == available.length) {
+                return cb();
+            }
+            let transformer = available[index];
+            validator(version, [ transformer.from ], accepted => {
+                if (!accepted || transformers.indexOf(transformer) != -1) {
+                    return check(index + 1);
+                }
+                transformers.push(transformer);
+                let upgraded = transformer.to.toString();
+                let match = (candidate, acceptedVersion) => {
+                    if (candidate) {
+                        return cb(candidate, acceptedVersion, transformers);
+                    }
+                    upgrade(upgraded);
+                };
+                if (context.configuration.resolution == 'best') {
+                    return exports.findBestMatch(validator, upgraded, candidates, req, match);
+                }
+                (function checkCandidate(candidateIndex) {
+                    if (candidateIndex == candidates.length) {
+                        return match();
+                    }
+                    let candidate = candidates[candidateIndex];
+                    validator(upgraded, candidate.acceptVersion, accepted => accepted ? match(candidate, candidate.acceptVersion)
+                        : checkCandidate(candidateIndex + 1));
+                })(0);
+            });
+        })(0);
+    })(version);
+};
+
+/**
+ * Applies the request upgrades of all transformers in order and makes sure that json responses are downgraded again
+ * in reverse order before they're sent to the client.
+ * @param {Transformer[]} transformers  The transformers from the requested version to the version of the handler
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ */
+exports.transform = function(transformers, req, res) {
+    for (let transformer of transformers) {
+        transformer.request && transformer.request(req, res);
+    }
+    let json = res.json;
+    res.json = body => {
+        for (let i = transformers.length - 1; i >= 0; i--) {
+            transformers[i].response && (body = transformers[i].response(body, req, res));
+        }
+        return json.call(res, body);
+    };
+};
+
+/**
+ * Returns the candidates registered on the path of a context that handle the method of the request. These are the ones
+ * registered for the same method and those registered with router.all (HEAD requests are also handled by GET routes).
+ * @param {Context} context
+ * @param {ClientRequest} req
+ * @returns {Context[]}
+ */
+exports.matchingCandidates = function(context, req) {
+    if (context.method == 'use') {
+        return context.candidates;
+    }
+    let method = req.method.toLowerCase();
+    return context.candidates.filter(candidate => candidate.method == 'all' || candidate.method == method
+        || method == 'head' && candidate.method == 'get');
+};
+
+/**
+ * Returns all versions that have been registered on the given candidates.
+ * @param {Context[]} candidates    All contexts that have been registered for the same path and method
+ * @returns {Array.<string|number>} A list of versions with regular expressions converted to strings
+ */
+exports.registeredVersions = function(candidates) {
+    let versions = [];
+    for (let candidate of candidates) {
+        for (let acceptVersion of candidate.acceptVersion) {
+            acceptVersion instanceof RegExp && (acceptVersion = acceptVersion.toString());
+            versions.indexOf(acceptVersion) == -1 && versions.push(acceptVersion);
+        }
+    }
+    return versions;
+};
+
+/**
+ * Returns the set of candidates that have already been tried for a request.
+ * @param {ClientRequest} req
+ * @returns {Set<Context>}
+ */
+function triedCandidates(req) {
+    let tried = dispatched.get(req) || new Set();
+    dispatched.set(req, tried);
+    return tried;
+}
+
+/**
+ * Returns the version that should be used if the client didn't send one.
+ * @param {string|number|function} defaultVersion   The configured default, the keyword 'latest' or a function of the request
+ * @param {Context[]} candidates                    All contexts that have been registered for the same path and method
+ * @param {ClientRequest} req                       The request that is being processed
+ * @returns {string|undefined}
+ */
+exports.resolveDefault = function(defaultVersion, candidates, req) {
+    if (typeof defaultVersion == 'function') {
+        defaultVersion = defaultVersion(req);
+    }
+    if (defaultVersion == 'latest') {
+        return exports.latestVersion(candidates);
+    }
+    return defaultVersion === undefined || defaultVersion === null ? defaultVersion : defaultVersion.toString();
+};
+
+/**
+ * Picks one of the versions of a weighted version configuration (e.g. { 2: 90, 3: 10 }). The choice is based on a hash
+ * of the client key (see canaryKey), so that a client keeps getting the same version for as long as the weights don't
+ * change.
+ * @param {Object.<string, number>|*} weights   The weight of each version or any other kind of version configuration
+ * @param {ClientRequest} req                   The request that is being processed
+ * @param {RouterConfig} configuration
+ * @returns {string|undefined} The chosen version or undefined if the configuration is not weighted
+ */
+exports.resolveCanary = function(weights, req, configuration) {
+    if (!weights || typeof weights != 'object' || weights instanceof RegExp) {
+        return undefined;
+    }
+    let versions = Object.keys(weights).filter(version => weights[version] > 0);
+    let position = hash(exports.clientKey(req, configuration.canaryKey))
+        * versions.reduce((total, version) => total + weights[version], 0);
+    for (let version of versions) {
+        position -= weights[version];
+        if (position < 0) {
+            return version;
+        }
+    }
+    return versions[versions.length - 1];
+};
+
+/**
+ * Returns the key that identifies a client. The key is read from the given source ('ip', 'header:<name>',
+ * 'cookie:<name>' or a function of the request) and falls back to the ip address of the client.
+ * @param {ClientRequest} req
+ * @param {string|function} [source=ip]
+ * @returns {string}
+ */
+exports.clientKey = function(req, source = 'ip') {
+    let key;
+    if (typeof source == 'function') {
+        key = source(req);
+    } else {
+        let [ type, name ] = source.split(':');
+        switch (type) {
+            case 'header':
+                key = req.get(name);
+                break;
+            case 'cookie':
+                key = req.cookies && req.cookies[name];
+                break;
+        }
+    }
+    return '' + (key || req.ip || '');
+};
+
+/**
+ * Hashes a string into a number between 0 (inclusive) and 1 (exclusive) using 32 bit FNV-1a.
+ * @param {string} str
+ * @returns {number}
+ */
+function hash(str) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        value = Math.imul(value ^ str.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return value / 0x100000000;
+}
+
+/**
+ * Returns the highest version that has been registered on any of the given candidates. Ranges are resolved to the
+ * lowest version they accept and regular expressions are ignored as they can't be turned into a version.
+ * @param {Context[]} candidates    All contexts that have been registered for the same path and method
+ * @returns {string|undefined}
+ */
+exports.latestVersion = function(candidates) {
+    let latest;
+    let latestDate;
+    for (let candidate of candidates) {
+        for (let acceptVersion of candidate.acceptVersion) {
+            if (exports.isDate(acceptVersion)) {
+                latestDate = !latestDate || acceptVersion > latestDate ? acceptVersion : latestDate;
+                continue;
+            }
+            if (exports.specificity(acceptVersion) < 2) {
+                continue;
+            }
+            let version = exports.lowestVersion(acceptVersion);
+            if (!latest || semver.gt(version, latest.lowest)) {
+                let exact = exports.specificity(acceptVersion) == 3;
+                latest = { lowest: version, version: exact ? acceptVersion.toString() : version };
+            }
+        }
+    }
+    return latestDate || latest && latest.version;
+};
+
+/**
+ * Looks at all candidates that have been registered for the same path and method and returns the one that has the most
+ * specific or highest version that accepts the incoming version. Candidates that have already handled the request
+ * (and called next()) are skipped, so that the next best candidate gets a chance to process the request.
+ * @param {versionCb} validator     The validator used to check whether a version is accepted
+ * @param {string} version          The version that was sent by the client
+ * @param {Context[]} candidates    All contexts that have been registered for the same path and method
+ * @param {ClientRequest} req       The request that is being processed
+ * @param {function} cb             Called with the chosen context and the matching version or no arguments if none match
+ */
+exports.findBestMatch = function(validator, version, candidates, req, cb) {
+    let tried = triedCandidates(req);
+    let matches = [];
+    let remaining = candidates.filter(candidate => !tried.has(candidate));
+    (function check(index) {
+        if (index == remaining.length) {
+            matches.sort((a, b) => exports.compareVersions(a.acceptedVersion, b.acceptedVersion) || a.index - b.index);
+            if (!matches.length) {
+                return cb();
+            }
+            return cb(matches[0].context, matches[0].acceptedVersion);
+        }
+        let context = remaining[index];
+        let acceptVersions = context.acceptVersion.length ? context.acceptVersion : [ undefined ];
+        (function checkVersion(versionIndex) {
+            if (versionIndex == acceptVersions.length) {
+                return check(index + 1);
+            }
+            let acceptedVersion = acceptVersions[versionIndex];
+            validator(version, acceptedVersion === undefined ? [] : [ acceptedVersion ], accepted => {
+                accepted && matches.push({ context, acceptedVersion, index: matches.length });
+                checkVersion(versionIndex + 1);
+            });
+        })(0);
+    })(0);
+};
+
+/**
+ * Returns how specific an accepted version is. Exact versions are more specific than semver ranges, which are more
+ * specific than regular expressions. Endpoints without a version are the least specific.
+ * @param {string|number|RegExp} [acceptVersion]
+ * @returns {number}
+ */
+exports.specificity = function(acceptVersion) {
+    switch (typeof acceptVersion) {
+        case 'number':
+            return 3;
+        case 'string':
+            if (acceptVersion.startsWith('/') && acceptVersion.endsWith('/')) {
+                return 1;
+            }
+            if (semver.valid(acceptVersion) || exports.isDate(acceptVersion)) {
+                return 3;
+            }
+            return semver.validRange(acceptVersion) ? 2 : 1;
+        case 'object':
+            return 1;
+        default:
+            return 0;
+    }
+};
+
+/**
+ * Returns the lowest version that an accepted version would match. Versions that can't be expressed that way (such as
+ * regular expressions) will return 0.0.0.
+ * @param {string|number|RegExp} [acceptVersion]
+ * @returns {string}
+ */
+exports.lowestVersion = function(acceptVersion) {
+    let specificity = exports.specificity(acceptVersion);
+    if (specificity == 3) {
+        let version = exports.semverizeVersion(acceptVersion);
+        return semver.valid(version) ? version : '0.0.0';
+    }
+    let lowest = '0.0.0';
+    if (specificity == 2) {
+        lowest = null;
+        for (let comparators of new semver.Range(acceptVersion).set) {
+            for (let comparator of comparators) {
+                if (comparator.semver.version && !comparator.operator.startsWith('<')
+                    && (!lowest || semver.lt(comparator.semver.version, lowest))) {
+                    lowest = comparator.semver.version;
+                }
+            }
+        }
+    }
+    return lowest || '0.0.0';
+};
+
+/**
+ * Compares two accepted versions by how specific they are and by how high they are if they are equally specific.
+ * @param {string|number|RegExp} [a]
+ * @param {string|number|RegExp} [b]
+ * @returns {number} A negative number if a should be preferred over b, a positive one if b should be preferred
+ */
+exports.compareVersions = function(a, b) {
+    return exports.specificity(b) - exports.specificity(a)
+        || semver.rcompare(exports.lowestVersion(a), exports.lowestVersion(b));
+};
+
+/**
+ * Checks whether two lists of accepted versions have a version in common. Ranges are compared using their lowest
+ * version, regular expressions can only be compared with each other and are only considered to overlap if identical.
+ * @param {Array.<string|number|RegExp>} a
+ * @param {Array.<string|number|RegExp>} b
+ * @param {versionCb} validator   The validator used to check whether a version is accepted
+ * @returns {boolean}
+ */
+exports.versionsOverlap = function(a, b, validator) {
+    let accepts = (version, acceptVersion) => {
+        let specificity = exports.specificity(version);
+        if (specificity < 2) {
+            return specificity == 1 && exports.specificity(acceptVersion) == 1 && '' + version == '' + acceptVersion;
+        }
+        return validator(specificity == 2 ? exports.lowestVersion(version) : '' + version, [ acceptVersion ]);
+    };
+    return a.some(x => b.some(y => accepts(x, y) || accepts(y, x)));
+};
+
+/**
+ * @typedef {Object} MediaTypeVersion
+ * @property {string} type      The negotiated media type without the quality parameter
+ * @property {string} version   The version that has been found on the media type
+ * @property {number} q         The quality value the client has assigned to this media type
+ */
+
+/**
+ * Looks through all media types in an Accept header and returns the one with the highest quality that carries a
+ * version. The version is either part of a vendor type (application/vnd.acme.v2+json) or passed in as a version
+ * parameter (application/json; version=2).
+ * @param {string} header           The Accept header sent by the client
+ * @param {string|boolean} vendor   The vendor name to look for or true if only version parameters should be used
+ * @returns {MediaTypeVersion|null} The media type that should be used or null if none carries a version
+ */
+exports.parseAccept = function(header, vendor) {
+    if (!header) {
+        return null;
+    }
+    let vendorMatcher = typeof vendor == 'string'
+        && new RegExp('^[^/]+/vnd\\.' + vendor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\.v([^+]+)(\\+.+)?$', 'i');
+    let candidates = [];
+    for (let entry of header.split(',')) {
+        let [ type, ...params ] = entry.split(';').map(part => part.trim());
+        let typeParams = [];
+        let version;
+        let q = 1;
+        for (let param of params) {
+            let [ key, value ] = param.split('=').map(part => part.trim());
+            if (key.toLowerCase() == 'q') {
+                q = parseFloat(value);
+                continue;
+            }
+            key.toLowerCase() == 'version' && (version = value);
+            typeParams.push(param);
+        }
+        let match = vendorMatcher && type.match(vendorMatcher);
+        version = match ? match[1] : version;
+        if (version && q > 0) {
+            candidates.push({ type: [ type, ...typeParams ].join('; '), version, q, index: candidates.length });
+        }
+    }
+    candidates.sort((a, b) => b.q - a.q || a.index - b.index);
+    if (!candidates.length) {
+        return null;
+    }
+    let { type, version, q } = candidates[0];
+    return { type, version, q };
 };
 
 /**
@@ -63,8 +796,12 @@ exports.validateVersion = function(incomingVersion, acceptVersions, cb) {
                     let regExpVersion = new RegExp(acceptVersion.substr(1, acceptVersion.length - 2));
                     return exports.validateVersion(incomingVersion, regExpVersion, cb);
                 }
-                incomingVersion = exports.semverizeVersion(incomingVersion);
-                acceptRequest = semver.satisfies(incomingVersion, acceptVersion);
+                if (exports.isDate(acceptVersion)) {
+                    acceptRequest = exports.validateDate.call(this, incomingVersion, acceptVersion);
+                    break;
+                }
+                let semverVersion = exports.semverizeVersion(incomingVersion);
+                acceptRequest = !!semver.valid(semverVersion) && semver.satisfies(semverVersion, acceptVersion);
                 break;
             case 'number':
                 acceptRequest = acceptVersion == parseInt(incomingVersion);
@@ -79,7 +816,52 @@ exports.validateVersion = function(incomingVersion, acceptVersions, cb) {
             return cb ? cb(true) : true;
         }
     }
-    cb ? cb(acceptRequest) : acceptRequest;
+    return cb ? cb(acceptRequest) : acceptRequest;
+};
+
+/**
+ * A version validator that treats all versions as release dates (YYYY-MM-DD). An endpoint registered for a date will
+ * accept any date on or after that date, until the next date that has been registered for the same endpoint.
+ * @type versionCb
+ * @property {Array.<string|number>} [versions]   All versions that have been registered for the same endpoint
+ */
+exports.validateDate = function(incomingVersion, acceptVersions, cb) {
+    acceptVersions = Array.isArray(acceptVersions) ? acceptVersions : [ acceptVersions ];
+    let incomingDate = exports.normalizeDate(incomingVersion);
+    let registered = (this && this.versions || []).map(exports.normalizeDate).filter(date => date);
+    let acceptRequest = !acceptVersions.length;
+    for (let acceptVersion of acceptVersions) {
+        if (acceptVersion instanceof RegExp) {
+            acceptRequest = acceptVersion.test(incomingVersion);
+        } else {
+            let acceptDate = exports.normalizeDate(acceptVersion);
+            acceptRequest = !!incomingDate && !!acceptDate && acceptDate <= incomingDate
+                && !registered.some(date => date > acceptDate && date <= incomingDate);
+        }
+        if (acceptRequest) {
+            break;
+        }
+    }
+    return cb ? cb(acceptRequest) : acceptRequest;
+};
+
+/**
+ * Checks whether a version is a release date in the format YYYY-MM-DD.
+ * @param {*} version
+ * @returns {boolean}
+ */
+exports.isDate = function(version) {
+    return typeof version == 'string' && /^\d{4}-\d{2}-\d{2}$/.test(version) && !isNaN(new Date(version));
+};
+
+/**
+ * Converts a date or an ISO 8601 timestamp into a date string (YYYY-MM-DD) that can be compared with other dates.
+ * @param {*} version
+ * @returns {string|null} The normalized date or null if the version is not a date
+ */
+exports.normalizeDate = function(version) {
+    let date = version !== undefined && version !== null && ('' + version).substr(0, 10);
+    return exports.isDate(date) ? date : null;
 };
 
 /**
@@ -1,4 +1,5 @@
 /* global describe, it, beforeEach, afterEach */
+const async = require('async');
 const expect = require('chai').expect;
 const express = require('express');
 const request = require('supertest');
@@ -6,6 +7,18 @@ const stream = require('stream');
 
 const Router = require('..');
 
+/**
+ * A minimal json body parser for tests that send a body, since this version of express doesn't come with one.
+ */
+function parseJson(req, res, next) {
+    let data = '';
+    req.on('data', chunk => data += chunk);
+    req.on('end', () => {
+        req.body = data ? JSON.parse(data) : {};
+        next();
+    });
+}
+
 
 describe('Api Router', () => {
     it('should process normal requests same as the default router', done => {
@@ -134,13 +147,365 @@ describe('Api Router', () => {
         request(app).get('/test').expect(422, {
             error: 'Required parameters are missing',
             params: {
-                var1: { error: 'not set', type: 'number' },
-                var3: { error: 'not set', type: 'string' },
-                var5: { error: 'not set', type: 'boolean' }
+                var1: [ { code: 'required', error: 'not set', type: 'number' } ],
+                var3: [ { code: 'required', error: 'not set', type: 'string' } ],
+                var5: [ { code: 'required', error: 'not set', type: 'boolean' } ]
             }
         }).end(done);
     });
 
+    it('should support param validators and handlers that return a promise', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router();
+        let config = {
+            params: {
+                var1: {
+                    type: 'number',
+                    validate: value => value == 13 ? Promise.reject(new Error('Unlucky')) : Promise.resolve(value > 10 && 'Too high')
+                }
+            }
+        };
+        router.get('/test', config, async (req, res) => {
+            if (req.args.var1 == 5) {
+                throw new Error('Handler failed');
+            }
+            res.end('success ' + req.args.var1);
+        });
+
+        let app = express();
+        app.use(router);
+        app.use((err, req, res, next) => res.status(500).end(err.message));
+        async.series([
+            cb => request(app).get('/test?var1=1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test?var1=11').expect(422, {
+                error: 'Required parameters are missing',
+                params: { var1: [ { code: 'invalid', error: 'Too high', type: 'number' } ] }
+            }).end(cb),
+            cb => request(app).get('/test?var1=13').expect(500, 'Unlucky').end(cb),
+            cb => request(app).get('/test?var1=5').expect(500, 'Handler failed').end(cb)
+        ], done);
+    });
+
+    it('should keep the version validator and the global param validator apart', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router({
+            validate: (version, acceptVersions, cb) => cb(acceptVersions.indexOf(parseInt(version)) != -1),
+            validateParams: value => value > 10 && 'Too high'
+        });
+        router.get('/test', 1, { params: { var1: 'number', var2: { type: 'number', validate: () => undefined } } },
+            (req, res) => res.end('success ' + req.args.var1));
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/test?v=1&var1=1&var2=20').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test?v=2&var1=1').expect(404).end(cb),
+            cb => request(app).get('/test?v=1&var1=11&var2=20').expect(422, {
+                error: 'Required parameters are missing',
+                params: { var1: [ { code: 'invalid', error: 'Too high', type: 'number' } ] }
+            }).end(cb)
+        ], done);
+    });
+
+    it('should check nested objects of params that have a validator', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router({ validateParams: () => undefined });
+        router.get('/test', { params: { address: { type: 'object', params: { zip: 'number' } } } }, (req, res) => res.json(req.args));
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/test?address={"zip":"12345"}').expect(200, { address: { zip: 12345 } }).end(cb),
+            cb => request(app).get('/test?address={}').expect(422, {
+                error: 'Required parameters are missing',
+                params: { 'address.zip': [ { code: 'required', type: 'number', error: 'not set' } ] }
+            }).end(cb),
+            cb => request(app).get('/test').expect(422, {
+                error: 'Required parameters are missing',
+                params: { address: [ { code: 'required', type: 'object', error: 'not set' } ] }
+            }).end(cb)
+        ], done);
+    });
+
+    it('should verify nested objects in json bodies', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router();
+        let config = {
+            params: {
+                address: {
+                    type: 'object',
+                    params: {
+                        street: 'string',
+                        zip: 'number',
+                        country: 'string(US)'
+                    }
+                },
+                items: {
+                    type: 'object',
+                    array: true,
+                    required: false,
+                    params: {
+                        name: 'string'
+                    }
+                }
+            }
+        };
+        router.post('/test', config, (req, res) => res.json(req.args));
+
+        let app = express();
+        app.use(parseJson);
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).post('/test').send({ address: { street: 'Main St', zip: '12345' } }).expect(200, {
+                address: { street: 'Main St', zip: 12345, country: 'US' }
+            }).end(cb),
+            cb => request(app).post('/test').send({ address: { street: 'Main St' }, items: [ {} ] }).expect(422, {
+                error: 'Required parameters are missing',
+                params: {
+                    'address.zip': [ { code: 'required', error: 'not set', type: 'number' } ],
+                    'items.0.name': [ { code: 'required', error: 'not set', type: 'string' } ]
+                }
+            }).end(cb)
+        ], done);
+    });
+
+    it('should validate parameters and body against a json schema', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router();
+        let config = {
+            schema: {
+                type: 'object',
+                required: [ 'id', 'address' ],
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    limit: { type: 'integer', default: 10 },
+                    address: { $ref: '#/$defs/address' }
+                },
+                $defs: {
+                    address: {
+                        type: 'object',
+                        required: [ 'zip' ],
+                        properties: { zip: { type: 'string', pattern: '^\\d{5}$' } }
+                    }
+                }
+            }
+        };
+        let original = JSON.stringify(config.schema);
+        router.post('/test/:id', config, (req, res) => res.json(req.args));
+
+        let app = express();
+        app.use(parseJson);
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).post('/test/5').send({ address: { zip: '12345' } }).expect(200, {
+                id: 5, limit: 10, address: { zip: '12345' }
+            }).end(cb),
+            cb => request(app).post('/test/0').send({ address: { zip: 'abc' } }).expect(422, {
+                error: 'Required parameters are missing',
+                params: {
+                    id: [ { code: 'min_value', error: 'value below min value', type: 'integer', min: 1 } ],
+                    'address.zip': [ { code: 'pattern', error: 'value does not match pattern', type: 'string', pattern: '^\\d{5}$' } ]
+                }
+            }).end(cb),
+            cb => {
+                let endpoint = router.endpoints['/test/:id'].POST;
+                expect(endpoint.schema).to.equal(config.schema);
+                expect(JSON.stringify(endpoint.schema)).to.equal(original);
+                cb();
+            }
+        ], done);
+    });
+
+    it('should support rich types in query parameters', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router();
+        let config = {
+            params: {
+                since: 'date',
+                until: 'datetime(2024-12-31T23:59:59Z)',
+                order: 'enum(asc|desc)(asc)',
+                id: 'uuid[]()'
+            }
+        };
+        router.get('/test', config, (req, res) => {
+            expect(req.args.since).to.be.instanceOf(Date);
+            res.json(req.args);
+        });
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/test?since=2024-01-01&id=123e4567-e89b-12d3-a456-426614174000').expect(200, {
+                since: '2024-01-01T00:00:00.000Z',
+                until: '2024-12-31T23:59:59.000Z',
+                order: 'asc',
+                id: [ '123e4567-e89b-12d3-a456-426614174000' ]
+            }).end(cb),
+            cb => request(app).get('/test?since=yesterday&order=up').expect(422, {
+                error: 'Required parameters are missing',
+                params: {
+                    since: [ { code: 'type', error: 'invalid type', type: 'date', value: 'yesterday' } ],
+                    order: [ { code: 'enum', error: 'value is not allowed', type: 'enum', enum: [ 'asc', 'desc' ] } ]
+                }
+            }).end(cb)
+        ], done);
+    });
+
+    it('should reject unknown parameters in strict mode', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router({ allowParams: [ 'debug' ] });
+        router.get('/strict', { strictParams: true, allowParams: [ 'trace' ], params: { pageSize: 'number(20)' } },
+            (req, res) => res.json(req.args));
+        router.post('/strict', { strictParams: true, params: { name: 'string' } }, (req, res) => res.json(req.args));
+        router.get('/lenient', { params: { pageSize: 'number(20)' } }, (req, res) => res.json(req.args));
+
+        let app = express();
+        app.use(parseJson);
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/strict?pageSize=10&v=1&format=json&debug=1&trace=1').expect(200, { pageSize: 10 }).end(cb),
+            cb => request(app).get('/strict?page_size=10').expect(422, {
+                error: 'Required parameters are missing',
+                params: { page_size: [ { code: 'unknown', type: 'any', error: 'unknown parameter' } ] }
+            }).end(cb),
+            cb => request(app).post('/strict').send({ name: 'bob', nmae: 'bob' }).expect(422, {
+                error: 'Required parameters are missing',
+                params: { nmae: [ { code: 'unknown', type: 'any', error: 'unknown parameter' } ] }
+            }).end(cb),
+            cb => request(app).get('/lenient?page_size=10').expect(200, { pageSize: 20 }).end(cb)
+        ], done);
+    });
+
+    it('should only warn about unknown parameters with strictParams set to warn', done => {
+        let router = Router({ strictParams: 'warn' });
+        router.get('/test', { params: { pageSize: 'number(20)' } }, (req, res) => res.json(req.args));
+        router.get('/off', { strictParams: false, params: { pageSize: 'number(20)' } }, (req, res) => res.json(req.args));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?page_size=10&sort=asc').expect('ApiUnknownParams', 'page_size, sort').expect(200, {
+                pageSize: 20
+            }).end(cb),
+            cb => request(app).get('/test?pageSize=10').expect(200).end((err, res) => {
+                expect(res.headers['apiunknownparams']).to.be.undefined;
+                cb(err);
+            }),
+            cb => request(app).get('/off?page_size=10').expect(200).end((err, res) => {
+                expect(res.headers['apiunknownparams']).to.be.undefined;
+                cb(err);
+            })
+        ], done);
+    });
+
+    it('should report values that can\'t be converted to their type', done => {
+        process.env.NODE_ENV = 'development';
+
+        let router = Router();
+        let config = {
+            params: {
+                limit: 'number(10)',
+                flag: 'bool(false)',
+                ids: 'integer[]()'
+            }
+        };
+        router.get('/test', config, (req, res) => res.json(req.args));
+        router.get('/lenient', Object.assign({ lenientTypes: true }, config), (req, res) => res.json(req.args));
+
+        let lenientRouter = Router({ lenientTypes: true });
+        lenientRouter.get('/lenient', config, (req, res) => res.json(req.args));
+
+        let app = express();
+        app.use('/strict', router);
+        app.use('/router', lenientRouter);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/strict/test?limit=5&flag=yes&ids=1,2').expect(200, {
+                limit: 5, flag: true, ids: [ 1, 2 ]
+            }).end(cb),
+            cb => request(app).get('/strict/test?limit=abc&flag=maybe&ids=1,x').expect(422, {
+                error: 'Required parameters are missing',
+                params: {
+                    limit: [ { code: 'type', type: 'number', error: 'invalid type', value: 'abc' } ],
+                    flag: [ { code: 'type', type: 'bool', error: 'invalid type', value: 'maybe' } ],
+                    ids: [ { code: 'type', type: 'integer', error: 'invalid type', value: 'x' } ]
+                }
+            }).end(cb),
+            cb => request(app).get('/strict/test?limit=5abc&ids=1,1.5').expect(422, {
+                error: 'Required parameters are missing',
+                params: {
+                    limit: [ { code: 'type', type: 'number', error: 'invalid type', value: '5abc' } ],
+                    ids: [ { code: 'type', type: 'integer', error: 'invalid type', value: '1.5' } ]
+                }
+            }).end(cb),
+            cb => request(app).get('/strict/lenient?limit=abc&flag=maybe').expect(200, { limit: 10, flag: false }).end(cb),
+            cb => request(app).get('/strict/lenient?limit=5abc').expect(200, { limit: 5, flag: false }).end(cb),
+            cb => request(app).get('/router/lenient?limit=abc&flag=maybe').expect(200, { limit: 10, flag: false }).end(cb)
+        ], done);
+    });
+
+    it('should support custom types registered on the router', done => {
+        process.env.NODE_ENV = 'development';
+
+        Router.addType('money', {
+            parse: value => {
+                let match = /^(\d+(\.\d+)?) ([A-Z]{3})$/.exec(value);
+                return match ? { amount: parseFloat(match[1]), currency: match[3] } : undefined;
+            },
+            validate: value => value.currency != 'EUR' && { code: 'currency', error: 'only EUR is supported' },
+            describe: param => 'An amount followed by a currency' + (param.array ? ', separated by commas' : '')
+        });
+        let router = Router();
+        router.get('/test', { params: { price: 'money(0 EUR)', fees: 'money[]()' } }, (req, res) => res.json(req.args));
+        router.get('/', router.api);
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/test?fees=1.50 EUR,2 EUR').expect(200, {
+                price: { amount: 0, currency: 'EUR' },
+                fees: [ { amount: 1.5, currency: 'EUR' }, { amount: 2, currency: 'EUR' } ]
+            }).end(cb),
+            cb => request(app).get('/test?price=5 USD&fees=lots').expect(422, {
+                error: 'Required parameters are missing',
+                params: {
+                    price: [ { code: 'currency', type: 'money', error: 'only EUR is supported' } ],
+                    fees: [ { code: 'type', type: 'money', error: 'invalid type', value: 'lots' } ]
+                }
+            }).end(cb),
+            cb => request(app).get('/').expect(200).end((err, res) => {
+                expect(res.body['/test'].GET.params.price).to.include({
+                    type: 'money',
+                    typeDescription: 'An amount followed by a currency'
+                });
+                expect(res.body['/test'].GET.params.fees.typeDescription).to.equal('An amount followed by a currency, separated by commas');
+                cb(err);
+            })
+        ], done);
+    });
+
     it('should support arrays in get parameters', done => {
         let router = Router();
         let config = {
@@ -177,6 +542,124 @@ describe('Api Router', () => {
         request(app).get('/test/25,30').expect(200).end(done);
     });
 
+    it('should add deprecation headers to endpoints that are being retired', done => {
+        let router = Router();
+        router.get('/test', 1, {
+            deprecated: '2030-01-01T00:00:00Z',
+            sunset: '2031-01-01T00:00:00Z',
+            successor: '/v2/test'
+        }, (req, res) => res.end('success 1'));
+        router.get('/test', 2, {
+            description: 'The current version'
+        }, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1/test')
+                .expect('Deprecation', '@1893456000')
+                .expect('Sunset', 'Wed, 01 Jan 2031 00:00:00 GMT')
+                .expect('Link', '</v2/test>; rel="successor-version"')
+                .expect(200, 'success 1').end(cb),
+            cb => request(app).get('/v2/test').expect(200, 'success 2').end((err, res) => {
+                expect(res.headers.deprecation).to.be.undefined;
+                expect(res.headers.sunset).to.be.undefined;
+                cb(err);
+            })
+        ], done);
+    });
+
+    it('should respond with 410 Gone once the sunset date has passed if enforced', done => {
+        let router = Router({ enforceSunset: true });
+        router.get('/test', 1, { deprecated: true, sunset: '2000-01-01' }, (req, res) => res.end('success 1'));
+        router.get('/other', 1, { deprecated: true, sunset: '2000-01-01', enforceSunset: false }, (req, res) => res.end('success 1'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1/test').expect(410, {
+                error: 'This endpoint is no longer available',
+                sunset: '2000-01-01T00:00:00.000Z'
+            }).end(cb),
+            cb => request(app).get('/v1/other').expect('Deprecation', 'true').expect(200, 'success 1').end(cb)
+        ], done);
+    });
+
+    it('should include deprecation information in the api map', () => {
+        let router = Router();
+        router.get('/test', { deprecated: true, sunset: '2031-01-01', successor: '/test2' }, (req, res) => {});
+
+        expect(router.endpoints['/test'].GET).to.include({
+            deprecated: true,
+            sunset: '2031-01-01',
+            successor: '/test2'
+        });
+    });
+
+    it('should reject invalid deprecation dates', () => {
+        let router = Router();
+        expect(router.get.bind(router, '/test', { sunset: 'soon' }, () => {})).to.throw(Error);
+        expect(router.get.bind(router, '/test', { deprecated: 'yesterday' }, () => {})).to.throw(Error);
+    });
+
+    it('should verify and document parameters of chained routes', done => {
+        let router = Router();
+        router.route('/test')
+            .get(1, { description: 'Get it', params: { var1: 'number' } }, (req, res) => res.end('success ' + req.args.var1))
+            .post({ description: 'Post it', params: { var2: 'string' } }, (req, res) => res.end('success ' + req.args.var2));
+
+        expect(router.endpoints['/test'].POST.description).to.equal('Post it');
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/v1/test').expect(422).end(cb),
+            cb => request(app).get('/v1/test?var1=25').expect(200, 'success 25').end(cb),
+            cb => request(app).post('/test').expect(422).end(cb),
+            cb => request(app).post('/test?var2=foo').expect(200, 'success foo').end(cb)
+        ], done);
+    });
+
+    it('should merge the parameters of api configurations with overlapping versions', done => {
+        let warnings = [];
+        let warn = console.warn;
+        console.warn = message => warnings.push(message);
+        let router = Router();
+        router.get('/test', 1, { params: { var1: 'number' } }, (req, res, next) => next());
+        router.get('/test', '^1', { params: { var1: 'number', var2: 'string' } }, (req, res) => res.end('success'));
+        router.get('/test', 2, { params: { var3: 'string' } }, (req, res) => res.end('success'));
+        console.warn = warn;
+
+        expect(warnings).to.deep.equal([
+            'Overlapping api configuration for GET /test (versions 1 and ^1): parameter var2 is not defined for all versions and will be optional'
+        ]);
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/v1/test').expect(422).end(cb),
+            cb => request(app).get('/v1/test?var1=25').expect(200, 'success').end(cb),
+            cb => request(app).get('/v2/test').expect(422).end(cb),
+            cb => request(app).get('/v2/test?var3=foo').expect(200, 'success').end(cb)
+        ], done);
+    });
+
+    it('should throw an error on overlapping api configurations if configured', () => {
+        let router = Router({ overlap: 'throw' });
+        router.get('/test', 1, { params: { var1: 'number' } }, () => {});
+        router.get('/test', 2, { params: { var1: 'string' } }, () => {});
+        expect(router.get.bind(router, '/test', '^1', { params: { var1: 'string' } }, () => {}))
+            .to.throw(Error, 'parameter var1 has incompatible types (number and string)');
+        expect(router.get.bind(router, '/test', /^3/, { params: { var1: 'number(5)' } }, () => {}))
+            .to.not.throw(Error);
+        expect(router.get.bind(router, '/test', 1, { params: { var1: 'number(5)' } }, () => {}))
+            .to.throw(Error, 'parameter var1 has different defaults (undefined and 5)');
+    });
+
     it('should return an api map', done => {
         let router = Router();
         let config = {
@@ -209,6 +692,62 @@ describe('Api Router', () => {
         }).end(done);
     });
 
+    it('should return the api map for a specific version', done => {
+        let router = Router({ aliases: { stable: 2 } });
+        router.get('/test', 1, { description: 'Version 1' }, (req, res) => {});
+        router.get('/test', '^2', { description: 'Version 2' }, (req, res) => {});
+        router.get('/other', { description: 'Unversioned' }, (req, res) => {});
+        router.post('/test', 2, { description: 'Post version 2' }, (req, res) => {});
+
+        expect(router.endpointsFor(1)).to.deep.equal({
+            '/test': { GET: router.endpointsFor('all')['1']['/test'].GET },
+            '/other': router.endpoints['/other']
+        });
+        expect(router.endpointsFor('stable')['/test'].POST.description).to.equal('Post version 2');
+        expect(router.endpointsFor('2.1', '/prefix')['/prefix/test'].GET.description).to.equal('Version 2');
+        expect(Object.keys(router.endpointsFor('all'))).to.deep.equal([ '0', '1', '2', '^2' ]);
+
+        let app = express();
+        app.get('/api', router.api);
+        async.series([
+            cb => request(app).get('/api').expect(200).end((err, res) => {
+                expect(Object.keys(res.body)).to.deep.equal([ '/other' ]);
+                cb(err);
+            }),
+            cb => request(app).get('/api?v=1').expect(200).end((err, res) => {
+                expect(res.body['/test'].GET.description).to.equal('Version 1');
+                expect(res.body['/test'].POST).to.be.undefined;
+                expect(res.body['/other'].GET.description).to.equal('Unversioned');
+                cb(err);
+            }),
+            cb => request(app).get('/api').set('ApiVersion', '2').expect(200).end((err, res) => {
+                expect(res.body['/test'].GET.description).to.equal('Version 2');
+                expect(res.body['/test'].POST.description).to.equal('Post version 2');
+                cb(err);
+            }),
+            cb => request(app).get('/api?v=all').expect(200).end((err, res) => {
+                expect(res.body['1']['/test'].GET.description).to.equal('Version 1');
+                expect(res.body['^2']['/test'].GET.description).to.equal('Version 2');
+                expect(res.body['0']['/other'].GET.description).to.equal('Unversioned');
+                cb(err);
+            })
+        ], done);
+    });
+
+    it('should include the host pattern in the api map', done => {
+        let router = Router({ hostPattern: '^v(\\d+)\\.' });
+        router.get('/test', 1, { description: 'Version 1' }, (req, res) => {});
+        router.get('/test', 2, { description: 'Version 2' }, (req, res) => {});
+
+        let app = express();
+        app.get('/api', router.api);
+        request(app).get('/api').set('Host', 'v2.api.example.com').expect(200).end((err, res) => {
+            expect(res.body._meta).to.deep.equal({ hostPattern: '/^v(\\d+)\\./' });
+            expect(res.body['/test'].GET.description).to.equal('Version 2');
+            done(err);
+        });
+    });
+
     it('should return a prefixed api path', done => {
         let router = Router({ prefix: '/prefix' });
         let config = {
@@ -37,6 +37,92 @@ describe('responder', () => {
             });
         });
 
+        it('should print array and enum types like their string definition', () => {
+            let response = responder.flatten({
+                '/test': {
+                    'GET': {
+                        description: 'This is a test',
+                        params: {
+                            order: { type: 'enum', enum: [ 'asc', 'desc' ], description: 'Sort order' },
+                            days: { type: 'date', array: true, description: 'Days to include' }
+                        }
+                    }
+                }
+            });
+
+            expect(response.rows).to.deep.equal([
+                [ '/test', 'GET', 'This is a test', 'order', 'enum(asc|desc)', 'Sort order' ],
+                [ '/test', 'GET', 'This is a test', 'days', 'date[]', 'Days to include' ]
+            ]);
+        });
+
+        it('should ignore the metadata of an api response', () => {
+            let response = responder.flatten({
+                _meta: {
+                    hostPattern: '/^v(\\d+)\\./'
+                },
+                '/test': {
+                    'GET': {
+                        description: 'This is a test',
+                        params: {
+                            name: {
+                                type: 'string',
+                                description: 'The user name'
+                            }
+                        }
+                    }
+                }
+            });
+
+            expect(response).to.deep.equal({
+                title: 'Api Map',
+                headers: [ 'path', 'method', 'description', 'param', 'type', 'paramDescription'],
+                rows: [
+                    [ '/test', 'GET', 'This is a test', 'name', 'string', 'The user name' ]
+                ]
+            });
+        });
+
+        it('should convert an api response with all versions to a flattened table', () => {
+            let response = responder.flatten({
+                '1': {
+                    '/test': {
+                        'GET': {
+                            description: 'This is a test',
+                            params: {
+                                name: {
+                                    type: 'string',
+                                    description: 'The user name'
+                                }
+                            }
+                        }
+                    }
+                },
+                '2': {
+                    '/test': {
+                        'GET': {
+                            description: 'This is another test',
+                            params: {
+                                age: {
+                                    type: 'number',
+                                    description: 'The users age'
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            expect(response).to.deep.equal({
+                title: 'Api Map',
+                headers: [ 'version', 'path', 'method', 'description', 'param', 'type', 'paramDescription'],
+                rows: [
+                    [ '1', '/test', 'GET', 'This is a test', 'name', 'string', 'The user name' ],
+                    [ '2', '/test', 'GET', 'This is another test', 'age', 'number', 'The users age' ]
+                ]
+            });
+        });
+
         it('should convert an error response to a flattened table', () => {
             let response = responder.flatten({
                 error: 'Required parameters are missing',
@@ -62,6 +148,66 @@ describe('responder', () => {
                 ]
             });
         });
+
+        it('should add columns for violated constraints to an error table', () => {
+            let response = responder.flatten({
+                error: 'Required parameters are missing',
+                params: {
+                    order: { type: 'string', error: 'value is not allowed', enum: [ 'asc', 'desc' ] },
+                    tags: { type: 'string', error: 'too many items', maxItems: 3 }
+                }
+            });
+
+            expect(response).to.deep.equal({
+                title: 'Required parameters are missing',
+                headers: [ 'param', 'type', 'error', 'max', 'min', 'enum', 'maxItems' ],
+                rows: [
+                    [ 'order', 'string', 'value is not allowed', '', '', 'asc|desc', '' ],
+                    [ 'tags', 'string', 'too many items', '', '', '', '3' ]
+                ]
+            });
+        });
+
+        it('should print every error of a parameter with its code', () => {
+            let response = responder.flatten({
+                error: 'Required parameters are missing',
+                params: {
+                    code: [
+                        { code: 'pattern', type: 'string', error: 'value does not match pattern', pattern: '^[A-Z]+$' },
+                        { code: 'max_length', type: 'string', error: 'value exceeds max value', max: 3 }
+                    ],
+                    age: [ { code: 'required', type: 'number', error: 'not set' } ]
+                }
+            });
+
+            expect(response).to.deep.equal({
+                title: 'Required parameters are missing',
+                headers: [ 'param', 'type', 'error', 'max', 'min', 'code', 'pattern' ],
+                rows: [
+                    [ 'code', 'string', 'value does not match pattern', '', '', 'pattern', '^[A-Z]+$' ],
+                    [ 'code', 'string', 'value exceeds max value', 3, '', 'max_length', '' ],
+                    [ 'age', 'number', 'not set', '', '', 'required', '' ]
+                ]
+            });
+        });
+
+        it('should convert an unsupported version response to a flattened table', () => {
+            let response = responder.flatten({
+                error: 'Requested version is not supported',
+                version: '3',
+                versions: [ 1, '^2', '/4/' ]
+            });
+
+            expect(response).to.deep.equal({
+                title: 'Requested version is not supported',
+                headers: [ 'requested', 'available' ],
+                rows: [
+                    [ '3', '1' ],
+                    [ '3', '^2' ],
+                    [ '3', '/4/' ]
+                ]
+            });
+        });
     });
 
     describe('#formatTable()', () => {
@@ -104,7 +250,30 @@ describe('responder', () => {
                 }
             });
 
-            expect(response).to.equal('param,type,error,max,min\nname,string,The "user" name,,\nage,number,"The users, age",,\n');
+            expect(response).to.equal('param,type,error,max,min\nname,string,"The ""user"" name",,\nage,number,"The users, age",,\n');
+        });
+
+        it('should print constraints and numbers in CSV', () => {
+            let response = responder.formatCSV({
+                error: 'This is a test',
+                params: {
+                    code: { type: 'string', error: 'value does not match pattern', pattern: '^[A-Z]{3}$' },
+                    age: { type: 'number', error: 'value exceeds max value', max: 100 }
+                }
+            });
+
+            expect(response).to.equal('param,type,error,max,min,pattern\n' +
+                'code,string,value does not match pattern,,,^[A-Z]{3}$\nage,number,value exceeds max value,100,,\n');
+        });
+
+        it('should leave cells of missing values empty in CSV', () => {
+            let response = responder.formatCSV({
+                '/test': {
+                    GET: { params: { from: { type: 'date', required: false } } }
+                }
+            });
+
+            expect(response).to.equal('path,method,description,param,type,paramDescription\n/test,GET,,from,date,\n');
         });
     });
 
@@ -128,6 +297,15 @@ describe('responder', () => {
                 '<error>The user name</error></name><age><type>number</type>' +
                 '<error>The users age</error></age></params>');
         });
+
+        it('should repeat the element for every entry of an array', () => {
+            let response = responder.formatXML({
+                version: '3',
+                versions: [ 1, '^2' ]
+            });
+
+            expect(response).to.equal('<version>3</version><versions>1</versions><versions>^2</versions>');
+        });
     });
 
     describe('#respond()', () => {
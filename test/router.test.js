@@ -113,6 +113,82 @@ describe('Router', () => {
         ], done);
     });
 
+    it('should verify parameters of mounted routers for versioned requests', done => {
+        let billing = Router();
+        billing.get('/invoices', {
+            params: {
+                limit: 'number(10)'
+            }
+        }, (req, res) => res.end('success ' + req.args.limit));
+
+        let router = Router();
+        router.use('/billing', 2, billing);
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v2/billing/invoices').expect(200, 'success 10').end(cb),
+            cb => request(app).get('/billing/invoices?v=2&limit=5').expect(200, 'success 5').end(cb)
+        ], done);
+    });
+
+    it('should upgrade requests and downgrade responses of older versions through transformers', done => {
+        let router = Router();
+        router.get('/users', 3, {
+            params: {
+                fullName: 'string',
+                limit: 'number(10)'
+            }
+        }, (req, res) => res.json({ users: [ req.args.fullName ], limit: req.args.limit, version: req.incomingVersion }));
+        router.transform(1, 2, {
+            request: req => req.query.fullName = req.query.name,
+            response: body => Object.assign({ name: body.users[0] }, body, { users: undefined })
+        });
+        router.transform(2, 3, {
+            request: req => req.query.limit = req.query.pageSize,
+            response: body => Object.assign({}, body, { limit: undefined, pageSize: body.limit })
+        });
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/users?v=3&fullName=bob')
+                .expect('ApiVersion', '3')
+                .expect(200, { users: [ 'bob' ], limit: 10, version: '3' }).end(cb),
+            cb => request(app).get('/users?v=2&fullName=bob&pageSize=5')
+                .expect('ApiVersion', '2')
+                .expect(200, { users: [ 'bob' ], pageSize: 5, version: '2' }).end(cb),
+            cb => request(app).get('/v1/users?name=bob')
+                .expect('ApiVersion', '1')
+                .expect(200, { name: 'bob', pageSize: 10, version: '1' }).end(cb),
+            cb => request(app).get('/users?v=4').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should stop upgrading once a version with a handler has been reached', done => {
+        let router = Router();
+        router.get('/users', 2, (req, res) => res.json({ handler: 2, query: req.query }));
+        router.get('/users', 3, (req, res) => res.json({ handler: 3 }));
+        router.get('/other', 3, (req, res) => res.json({ handler: 3 }));
+        router.transform(1, 2, {
+            path: '/users',
+            request: req => req.query.upgraded = 'true',
+            response: body => Object.assign({ downgraded: true }, body)
+        });
+        router.transform(2, 3, { response: () => { throw new Error('should not be called'); } });
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/users?v=1').expect(200, {
+                downgraded: true,
+                handler: 2,
+                query: { v: '1', upgraded: 'true' }
+            }).end(cb),
+            cb => request(app).get('/other?v=1').expect(404).end(cb)
+        ], done);
+    });
+
     it('should support requests that respond with delayed responses', done => {
         let router = Router();
         router.get('/test', (req, res) => {
@@ -0,0 +1,149 @@
+/* global describe, it, beforeEach, afterEach */
+const expect = require('chai').expect;
+
+const schema = require('../lib/schema');
+
+
+describe('schema', () => {
+    let document = {
+        type: 'object',
+        required: [ 'name', 'address' ],
+        properties: {
+            name: { type: 'string', minLength: 2, maxLength: 10, pattern: '^[A-Z]' },
+            age: { type: 'integer', minimum: 0, exclusiveMaximum: 150, default: 18 },
+            role: { enum: [ 'admin', 'user' ] },
+            tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 },
+            address: { $ref: '#/definitions/address' }
+        },
+        definitions: {
+            address: {
+                type: 'object',
+                required: [ 'zip' ],
+                additionalProperties: false,
+                properties: {
+                    zip: { type: 'string', pattern: '^\\d{5}$' },
+                    street: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    describe('#resolve()', () => {
+        it('should follow references within the document', () => {
+            expect(schema.resolve({ $ref: '#/definitions/address' }, document)).to.equal(document.definitions.address);
+            expect(schema.resolve({ $ref: '#' }, document)).to.equal(document);
+            expect(schema.resolve({ $ref: '#/properties/tags/items' }, document)).to.deep.equal({ type: 'string' });
+        });
+
+        it('should reject references that can\'t be resolved', () => {
+            expect(() => schema.resolve({ $ref: '#/definitions/unknown' }, document)).to.throw(/Unable to resolve/);
+            expect(() => schema.resolve({ $ref: 'other.json#/address' }, document)).to.throw(/Unsupported/);
+            let loop = { definitions: { a: { $ref: '#/definitions/b' }, b: { $ref: '#/definitions/a' } } };
+            expect(() => schema.resolve({ $ref: '#/definitions/a' }, loop)).to.throw(/Circular/);
+        });
+    });
+
+    describe('#validate()', () => {
+        it('should accept valid values', () => {
+            expect(schema.validate(document, {
+                name: 'Alice',
+                age: 30,
+                role: 'admin',
+                tags: [ 'a' ],
+                address: { zip: '12345' }
+            })).to.deep.equal({});
+        });
+
+        it('should report errors with dotted paths', () => {
+            expect(schema.validate(document, {
+                name: 'alice',
+                age: 150,
+                role: 'guest',
+                tags: [ 'a', 1, 'c' ],
+                address: { street: 'Main St', city: 'Springfield' }
+            })).to.deep.equal({
+                name: [ { code: 'pattern', type: 'string', error: 'value does not match pattern', pattern: '^[A-Z]' } ],
+                age: [ { code: 'max_value', type: 'integer', error: 'value exceeds max value', max: 150 } ],
+                role: [ { code: 'enum', type: 'any', error: 'value is not allowed', enum: [ 'admin', 'user' ] } ],
+                tags: [ { code: 'max_items', type: 'array', error: 'too many items', maxItems: 2 } ],
+                'tags.1': [ { code: 'type', type: 'string', error: 'invalid type' } ],
+                'address.zip': [ { code: 'required', type: 'string', error: 'not set' } ],
+                'address.city': [ { code: 'unknown', type: 'any', error: 'unknown property' } ]
+            });
+        });
+
+        it('should check types and ranges', () => {
+            expect(schema.validate(document, { name: 'A', age: 1.5 })).to.deep.equal({
+                name: [ { code: 'min_length', type: 'string', error: 'value below min value', min: 2 } ],
+                age: [ { code: 'type', type: 'integer', error: 'invalid type' } ],
+                address: [ { code: 'required', type: 'object', error: 'not set' } ]
+            });
+            expect(schema.validate({ type: [ 'number', 'null' ] }, null)).to.deep.equal({});
+            expect(schema.validate({ const: 5 }, 6)).to.deep.equal({
+                '': [ { code: 'enum', type: 'any', error: 'value is not allowed', enum: [ 5 ] } ]
+            });
+        });
+    });
+
+    describe('#report()', () => {
+        it('should keep every error but exact duplicates', () => {
+            let errors = {};
+            schema.report(errors, 'name', { code: 'required', type: 'string', error: 'not set' });
+            schema.report(errors, 'name', { code: 'required', type: 'any', error: 'not set' });
+            schema.report(errors, 'name', { code: 'invalid', type: 'string', error: 'not even' });
+            schema.report(errors, 'name', { code: 'invalid', type: 'string', error: 'too big' });
+            expect(errors).to.deep.equal({
+                name: [
+                    { code: 'required', type: 'string', error: 'not set' },
+                    { code: 'invalid', type: 'string', error: 'not even' },
+                    { code: 'invalid', type: 'string', error: 'too big' }
+                ]
+            });
+        });
+    });
+
+    describe('#isMultiple()', () => {
+        it('should allow for rounding errors of floating point numbers', () => {
+            expect(schema.isMultiple(10, 5)).to.be.true;
+            expect(schema.isMultiple(0.3, 0.1)).to.be.true;
+            expect(schema.isMultiple(10.05, 0.01)).to.be.true;
+            expect(schema.isMultiple(0.35, 0.1)).to.be.false;
+        });
+    });
+
+    describe('#toParams()', () => {
+        it('should convert properties into parameter definitions', () => {
+            expect(schema.toParams(document)).to.deep.equal({
+                name: { type: 'string', required: true, array: false, default: undefined },
+                age: { type: 'integer', required: false, array: false, default: 18 },
+                role: { type: 'any', required: false, array: false, default: undefined },
+                tags: { type: 'string', required: false, array: true, default: undefined },
+                address: {
+                    type: 'object', required: true, array: false, default: undefined, params: {
+                        zip: { type: 'string', required: true, array: false, default: undefined },
+                        street: { type: 'string', required: false, array: false, default: undefined }
+                    }
+                }
+            });
+        });
+
+        it('should stop at recursive schemas', () => {
+            let tree = {
+                type: 'object',
+                properties: {
+                    node: { $ref: '#/definitions/node' }
+                },
+                definitions: {
+                    node: { type: 'object', properties: { children: { type: 'array', items: { $ref: '#/definitions/node' } } } }
+                }
+            };
+            expect(schema.toParams(tree)).to.deep.equal({
+                node: {
+                    type: 'object', required: false, array: false, default: undefined, params: {
+                        children: { type: 'object', required: false, array: true, default: undefined }
+                    }
+                }
+            });
+        });
+    });
+});
@@ -90,7 +90,7 @@ describe('verifier', () => {
                 configuration: {
                     paramOrder: [ 'query' ],
                     error: 'error method',
-                    validate: 'validate method',
+                    validateParams: 'validate method',
                     success: 'success method'
                 }
             };
@@ -191,6 +191,57 @@ describe('verifier', () => {
             expect(verifier.parseParam('number[]()')).to.deep.equal(mkParam('number[]', undefined, false));
             expect(verifier.parseParam('bool[](false, true,true)')).to.deep.equal(mkParam('bool[]', [false, true, true], false));
         });
+
+        it('should parse rich types and enums', () => {
+            expect(verifier.parseParam('email')).to.deep.equal(mkParam('email'));
+            expect(verifier.parseParam('uuid[]')).to.deep.equal(mkParam('uuid[]'));
+            expect(verifier.parseParam('url()')).to.deep.equal(mkParam('url', undefined, false));
+            expect(verifier.parseParam('date(2024-01-31)')).to.deep.equal(mkParam('date', new Date('2024-01-31T00:00:00Z'), false));
+            expect(verifier.parseParam('dateTime')).to.deep.equal(mkParam('datetime'));
+            expect(verifier.parseParam('enum(asc|desc)')).to.deep.equal(Object.assign(mkParam('enum'), { enum: [ 'asc', 'desc' ] }));
+            expect(verifier.parseParam('enum(a | b)[](a,b)')).to.deep.equal(Object.assign(mkParam('enum[]', [ 'a', 'b' ], false), { enum: [ 'a', 'b' ] }));
+            expect(verifier.parseParam({ type: 'enum', enum: [ 'a' ], default: 'a' })).to.deep.equal(Object.assign(mkParam('enum', 'a', false), { enum: [ 'a' ] }));
+            expect(verifier.parseParam.bind(null, 'enum')).to.throw(/No values/);
+            expect(verifier.parseParam.bind(null, { type: 'enum' })).to.throw(/No values/);
+        });
+
+        it('should parse nested object definitions', () => {
+            let param = verifier.parseParam({ type: 'object', params: { zip: 'number', street: 'string()' } });
+            expect(param.params).to.deep.equal({
+                zip: mkParam('number'),
+                street: mkParam('string', undefined, false)
+            });
+            expect(param.required).to.be.true;
+        });
+    });
+
+    describe('#parseValue()', () => {
+        it('should parse dates and times in ISO 8601 format', () => {
+            expect(verifier.parseValue('date', '2024-02-29')).to.deep.equal(new Date('2024-02-29T00:00:00Z'));
+            expect(verifier.parseValue('date', '2023-02-29')).to.be.undefined;
+            expect(verifier.parseValue('date', '29.02.2024')).to.be.undefined;
+            expect(verifier.parseValue('datetime', '2024-01-01T10:00:00+02:00')).to.deep.equal(new Date('2024-01-01T08:00:00Z'));
+            expect(verifier.parseValue('datetime', '2024-01-01T10:00Z')).to.deep.equal(new Date('2024-01-01T10:00:00Z'));
+            expect(verifier.parseValue('datetime', '2024-01-01')).to.be.undefined;
+            expect(verifier.parseValue('datetime', '2024-13-01T10:00:00Z')).to.be.undefined;
+            expect(verifier.parseValue('date', '2024-01-01,2024-01-02', true)).to.deep.equal([
+                new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z')
+            ]);
+        });
+
+        it('should only accept valid emails, uuids and urls', () => {
+            expect(verifier.parseValue('email', 'bob@example.com')).to.equal('bob@example.com');
+            expect(verifier.parseValue('email', 'bob@example')).to.be.undefined;
+            expect(verifier.parseValue('uuid', '123E4567-e89b-12d3-a456-426614174000')).to.equal('123E4567-e89b-12d3-a456-426614174000');
+            expect(verifier.parseValue('uuid', '123e4567-e89b-12d3-a456')).to.be.undefined;
+            expect(verifier.parseValue('url', 'https://example.com/path?q=1')).to.equal('https://example.com/path?q=1');
+            expect(verifier.parseValue('url', 'example.com')).to.be.undefined;
+            expect(verifier.parseValue('url', 'HTTP://example.com')).to.equal('HTTP://example.com');
+            expect(verifier.parseValue('url', 'javascript:alert(1)')).to.be.undefined;
+            expect(verifier.parseValue('url', 'mailto:bob@example.com')).to.be.undefined;
+            expect(verifier.parseValue('url', 'ftp://example.com/file')).to.be.undefined;
+            expect(verifier.parseValue('enum', 'asc')).to.equal('asc');
+        });
     });
 
     describe('#getParams()', () => {
@@ -225,6 +276,54 @@ describe('verifier', () => {
                 age: 30
             });
         });
+
+        it('should keep values that can\'t be converted in strict mode', () => {
+            let config = {
+                paramOrder: [ 'query' ],
+                params: {
+                    limit: mkParam('number'),
+                    offset: mkParam('number'),
+                    page: mkParam('integer'),
+                    name: mkParam('string'),
+                    address: Object.assign(mkParam('object'), { params: { zip: mkParam('number') } })
+                }
+            };
+            let req = { query: { limit: 'abc', offset: '1.5xyz', page: '1.5', name: '', address: '{"zip":"none"}' } };
+            expect(verifier.getParams(config, req)).to.deep.equal({
+                limit: undefined, offset: 1.5, page: 1, name: undefined, address: { zip: undefined }
+            });
+            let params = verifier.getParams(config, req, true);
+            expect(params.name).to.be.undefined;
+            expect(verifier.checkParams(config, params)).to.deep.equal({
+                limit: [ { code: 'type', type: 'number', error: 'invalid type', value: 'abc' } ],
+                offset: [ { code: 'type', type: 'number', error: 'invalid type', value: '1.5xyz' } ],
+                page: [ { code: 'type', type: 'integer', error: 'invalid type', value: '1.5' } ],
+                name: [ { code: 'required', type: 'string', error: 'not set' } ],
+                'address.zip': [ { code: 'type', type: 'number', error: 'invalid type', value: 'none' } ]
+            });
+        });
+
+        it('should parse nested objects and arrays of objects', () => {
+            let config = {
+                paramOrder: ['query', 'body'],
+                params: {
+                    address: { type: 'object', params: { zip: { type: 'number' } } },
+                    items: { type: 'object', array: true, params: { active: { type: 'bool' } } }
+                }
+            };
+            let request = {
+                query: {
+                    address: '{"zip":"12345","street":"Main St"}'
+                },
+                body: {
+                    items: [ { active: 'yes' }, { active: 'no' } ]
+                }
+            };
+            expect(verifier.getParams(config, request)).to.deep.equal({
+                address: { zip: 12345, street: 'Main St' },
+                items: [ { active: true }, { active: false } ]
+            });
+        });
     });
 
     describe('#checkParams()', () => {
@@ -236,10 +335,11 @@ describe('verifier', () => {
             };
             let errors = verifier.checkParams(config, {});
             expect(errors).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'required',
                     error: "not set",
                     type: "number"
-                }
+                }]
             });
         });
 
@@ -252,14 +352,16 @@ describe('verifier', () => {
             };
             let errors = verifier.checkParams(config, {});
             expect(errors).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'required',
                     error: "not set",
                     type: "number"
-                },
-                name: {
+                }],
+                name: [{
+                    code: 'required',
                     error: "not set",
                     type: "string"
-                }
+                }]
             });
         });
 
@@ -302,16 +404,18 @@ describe('verifier', () => {
             };
             let errors = verifier.checkParams(config, params);
             expect(errors).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'min_value',
                     error: "value below min value",
                     min: 10,
                     type: "number"
-                },
-                name: {
+                }],
+                name: [{
+                    code: 'min_length',
                     error: "value below min value",
                     min: 5,
                     type: "string"
-                }
+                }]
             });
         });
 
@@ -328,16 +432,18 @@ describe('verifier', () => {
             };
             let errors = verifier.checkParams(config, params);
             expect(errors).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'max_value',
                     error: 'value exceeds max value',
                     max: 10,
                     type: 'number'
-                },
-                name: {
+                }],
+                name: [{
+                    code: 'max_length',
                     error: 'value exceeds max value',
                     max: 5,
                     type: 'string'
-                }
+                }]
             });
         });
 
@@ -359,10 +465,138 @@ describe('verifier', () => {
             };
             let errors = verifier.checkParams(config, params);
             expect(errors).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'invalid',
                     error: 'Test error',
                     type: 'number'
+                }]
+            });
+        });
+
+        it('should wait for custom validators that return a promise', done => {
+            let config = {
+                params: {
+                    age: Object.assign(mkParam('number'), { validate: value => Promise.resolve(value > 10 && 'Too old') }),
+                    name: Object.assign(mkParam('string'), { validate: () => 'Sync error' })
+                }
+            };
+            let errors = verifier.checkParams(config, { age: 11, name: 'bob' }, (err, errors) => {
+                expect(err).to.be.not.ok;
+                expect(errors).to.deep.equal({
+                    age: [ { code: 'invalid', error: 'Too old', type: 'number' } ],
+                    name: [ { code: 'invalid', error: 'Sync error', type: 'string' } ]
+                });
+                done();
+            });
+            expect(errors).to.deep.equal({ name: [ { code: 'invalid', error: 'Sync error', type: 'string' } ] });
+        });
+
+        it('should check enum, pattern, item count and multiple constraints', () => {
+            let config = {
+                params: {
+                    order: Object.assign(mkParam('string'), { enum: [ 'asc', 'desc' ] }),
+                    code: Object.assign(mkParam('string'), { pattern: '^[A-Z]{3}$' }),
+                    tags: Object.assign(mkParam('string[]'), { minItems: 2, maxItems: 3 }),
+                    price: Object.assign(mkParam('number'), { multipleOf: 0.05 })
+                }
+            };
+            expect(verifier.checkParams(config, { order: 'asc', code: 'ABC', tags: [ 'a', 'b' ], price: 1.15 })).to.deep.equal({});
+            expect(verifier.checkParams(config, { order: 'up', code: 'abc', tags: 'a', price: 1.12 })).to.deep.equal({
+                order: [ { code: 'enum', type: 'string', error: 'value is not allowed', enum: [ 'asc', 'desc' ] } ],
+                code: [ { code: 'pattern', type: 'string', error: 'value does not match pattern', pattern: '^[A-Z]{3}$' } ],
+                tags: [ { code: 'min_items', type: 'string', error: 'too few items', minItems: 2 } ],
+                price: [ { code: 'multiple_of', type: 'number', error: 'value is not a multiple', multipleOf: 0.05 } ]
+            });
+            expect(verifier.checkParams(config, { order: 'asc', code: 'ABC', tags: [ 'a', 'b', 'c', 'd' ], price: 1 })).to.deep.equal({
+                tags: [ { code: 'max_items', type: 'string', error: 'too many items', maxItems: 3 } ]
+            });
+        });
+
+        it('should check constraints alongside custom validators', () => {
+            let config = {
+                params: {
+                    code: Object.assign(mkParam('string'), { pattern: /^[a-z]+$/i, validate: () => undefined })
+                }
+            };
+            expect(verifier.checkParams(config, { code: 'abc' })).to.deep.equal({});
+            expect(verifier.checkParams(config, { code: 'a1' })).to.deep.equal({
+                code: [ { code: 'pattern', type: 'string', error: 'value does not match pattern', pattern: '/^[a-z]+$/i' } ]
+            });
+        });
+
+        it('should check required, min and max alongside custom validators', () => {
+            let validate = () => undefined;
+            let config = {
+                params: {
+                    n: Object.assign(mkParam('number', undefined, false, undefined, 5), { validate }),
+                    s: Object.assign(mkParam('string'), { validate })
                 }
+            };
+            expect(verifier.checkParams(config, { n: 3, s: 'a' })).to.deep.equal({});
+            expect(verifier.checkParams(config, { n: 10 })).to.deep.equal({
+                n: [ { code: 'max_value', type: 'number', error: 'value exceeds max value', max: 5 } ],
+                s: [ { code: 'required', type: 'string', error: 'not set' } ]
+            });
+        });
+
+        it('should report every failed check with its code', () => {
+            let config = {
+                params: {
+                    code: Object.assign(mkParam('string', undefined, true, undefined, 3), { pattern: '^[A-Z]+$' }),
+                    currency: Object.assign(mkParam('string'), {
+                        pattern: '^[A-Z]{3}$',
+                        validate: value => value != 'EUR' && { code: 'currency', error: 'unsupported currency' }
+                    })
+                }
+            };
+            expect(verifier.checkParams(config, { code: 'abcd', currency: 'usd' })).to.deep.equal({
+                code: [
+                    { code: 'pattern', type: 'string', error: 'value does not match pattern', pattern: '^[A-Z]+$' },
+                    { code: 'max_length', type: 'string', error: 'value exceeds max value', max: 3 }
+                ],
+                currency: [
+                    { code: 'pattern', type: 'string', error: 'value does not match pattern', pattern: '^[A-Z]{3}$' },
+                    { code: 'currency', type: 'string', error: 'unsupported currency' }
+                ]
+            });
+        });
+
+        it('should report errors of nested objects with dotted paths', () => {
+            let config = {
+                params: {
+                    address: Object.assign(mkParam('object'), {
+                        params: { zip: mkParam('number', undefined, true, undefined, 5), street: mkParam('string') }
+                    }),
+                    items: Object.assign(mkParam('object[]', undefined, false), {
+                        params: { name: mkParam('string') }
+                    })
+                }
+            };
+            expect(verifier.checkParams(config, {})).to.deep.equal({
+                address: [ { code: 'required', error: 'not set', type: 'object' } ]
+            });
+            let errors = verifier.checkParams(config, {
+                address: { zip: 10 },
+                items: [ { name: 'first' }, {} ]
+            });
+            expect(errors).to.deep.equal({
+                'address.zip': [ { code: 'max_value', error: 'value exceeds max value', max: 5, type: 'number' } ],
+                'address.street': [ { code: 'required', error: 'not set', type: 'string' } ],
+                'items.1.name': [ { code: 'required', error: 'not set', type: 'string' } ]
+            });
+        });
+
+        it('should only allow the values of an enum', () => {
+            let config = {
+                params: {
+                    order: Object.assign(mkParam('enum'), { enum: [ 'asc', 'desc' ] }),
+                    fields: Object.assign(mkParam('enum[]', undefined, false), { enum: [ 'id', 'name' ] })
+                }
+            };
+            expect(verifier.checkParams(config, { order: 'asc', fields: [ 'id' ] })).to.deep.equal({});
+            expect(verifier.checkParams(config, { order: 'up', fields: [ 'id', 'age' ] })).to.deep.equal({
+                order: [ { code: 'enum', type: 'enum', error: 'value is not allowed', enum: [ 'asc', 'desc' ] } ],
+                fields: [ { code: 'enum', type: 'enum', error: 'value is not allowed', enum: [ 'id', 'name' ] } ]
             });
         });
 
@@ -376,23 +610,97 @@ describe('verifier', () => {
             let params = { age: 9 };
             let errors = verifier.checkParams(config, params);
             expect(errors).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'min_value',
                     error: "value below min value",
                     min: 10,
                     type: "number"
-                }
+                }]
             });
 
             let paramsArray = { age: [ 9 ] };
             let errorsArray = verifier.checkParams(config, paramsArray);
             expect(errorsArray).to.deep.equal({
-                age: {
+                age: [{
+                    code: 'min_value',
                     error: "value below min value",
                     min: 10,
                     type: "number"
+                }]
+            });
+        });
+    });
+
+    describe('#findUnknown()', () => {
+        it('should list undeclared query and body parameters', () => {
+            let config = {
+                paramOrder: [ 'params', 'query', 'body' ],
+                params: { name: mkParam('string') },
+                allowParams: [ 'debug' ]
+            };
+            let req = {
+                params: { id: '1' },
+                query: { name: 'bob', v: '1', format: 'json', debug: '1', nmae: 'bob' },
+                body: { nmae: 'bob', age: 25 },
+                headers: { 'x-custom': 'header' }
+            };
+            expect(verifier.findUnknown(config, req, { param: 'v' })).to.deep.equal([ 'nmae', 'age' ]);
+            expect(verifier.findUnknown(config, req, { param: 'v', allowParams: [ 'age', 'nmae' ] })).to.deep.equal([]);
+            expect(verifier.findUnknown(Object.assign({}, config, { paramOrder: [ 'params' ] }), req, {})).to.deep.equal([]);
+        });
+    });
+
+    describe('#addType()', () => {
+        verifier.addType('isoCountry', {
+            parse: value => typeof value == 'string' && /^[a-z]{2}$/i.test(value) ? value.toUpperCase() : undefined,
+            validate: value => value == 'XX' && 'unknown country',
+            describe: 'ISO 3166-1 alpha-2 country code'
+        });
+
+        it('should use custom types in parameter definitions', () => {
+            expect(verifier.parseParam('isocountry')).to.deep.equal(Object.assign(mkParam('isoCountry'), {
+                typeDescription: 'ISO 3166-1 alpha-2 country code'
+            }));
+            expect(verifier.parseParam('isoCountry[](de,at)')).to.deep.equal(Object.assign(mkParam('isoCountry[]', [ 'DE', 'AT' ], false), {
+                typeDescription: 'ISO 3166-1 alpha-2 country code'
+            }));
+            expect(verifier.parseParam({ type: 'isoCountry', description: 'Shipping country' }).typeDescription).to.equal('ISO 3166-1 alpha-2 country code');
+        });
+
+        it('should parse and validate values of custom types', () => {
+            expect(verifier.parseValue('isoCountry', 'de')).to.equal('DE');
+            expect(verifier.parseValue('isoCountry', 'germany')).to.be.undefined;
+            let config = {
+                params: {
+                    country: verifier.parseParam('isoCountry'),
+                    shipTo: verifier.parseParam('isoCountry[]()')
+                }
+            };
+            expect(verifier.checkParams(config, { country: 'DE', shipTo: [ 'AT' ] })).to.deep.equal({});
+            expect(verifier.checkParams(config, { country: 'XX', shipTo: [ 'AT', 'XX' ] })).to.deep.equal({
+                country: [ { code: 'invalid', type: 'isoCountry', error: 'unknown country' } ],
+                shipTo: [ { code: 'invalid', type: 'isoCountry', error: 'unknown country' } ]
+            });
+        });
+
+        it('should report the errors of the type and the parameter validator', () => {
+            let config = {
+                params: {
+                    country: Object.assign(verifier.parseParam('isoCountry'), { validate: value => value != 'DE' && 'not shipped to' })
                 }
+            };
+            expect(verifier.checkParams(config, { country: 'XX' })).to.deep.equal({
+                country: [
+                    { code: 'invalid', type: 'isoCountry', error: 'unknown country' },
+                    { code: 'invalid', type: 'isoCountry', error: 'not shipped to' }
+                ]
             });
         });
+
+        it('should not allow to replace built-in types', () => {
+            expect(() => verifier.addType('string', {})).to.throw(/built-in/);
+            expect(() => verifier.addType('my type', {})).to.throw(/Invalid name/);
+        });
     });
 
     describe('#fillParams()', () => {
@@ -421,6 +729,43 @@ describe('verifier', () => {
             })
         });
 
+        it('should fill default values of nested objects', () => {
+            let address = Object.assign(mkParam('object', {}, false), {
+                params: { country: mkParam('string', 'US', false), zip: mkParam('number') }
+            });
+            let config = {
+                params: {
+                    address,
+                    items: Object.assign(mkParam('object[]'), { params: { count: mkParam('number', 1, false) } })
+                }
+            };
+            let result = verifier.fillParams(config, { items: [ { count: 5 }, {} ] });
+            expect(result).to.deep.equal({
+                address: { country: 'US', zip: undefined },
+                items: [ { count: 5 }, { count: 1 } ]
+            });
+            expect(address.default).to.deep.equal({});
+        });
+
+        it('should copy defaults that aren\'t primitive values', () => {
+            class Money {
+                constructor(amount, currency) {
+                    this.amount = amount;
+                    this.currency = currency;
+                }
+            }
+            let price = mkParam('money', new Money(0, 'EUR'), false);
+            let tags = mkParam('string[]', [ 'new' ], false);
+            let config = { params: { price, tags } };
+            let result = verifier.fillParams(config, {});
+            expect(result.price).to.be.an.instanceof(Money).and.to.deep.equal(new Money(0, 'EUR'));
+            result.price.amount = 5;
+            result.tags.push('sale');
+            expect(price.default.amount).to.equal(0);
+            expect(tags.default).to.deep.equal([ 'new' ]);
+            expect(verifier.fillParams(config, {})).to.deep.equal({ price: new Money(0, 'EUR'), tags: [ 'new' ] });
+        });
+
         it('should only fill parameters that haven\'t been set yet', () => {
             let config = {
                 params: {
@@ -53,11 +53,203 @@ describe('Version Router', () => {
         ], done);
     });
 
+    it('should process versioned requests using a vendor media type', done => {
+        let router = Router({ mediaType: 'acme' });
+        router.get('/test', 1, (req, res) => res.json({ version: 1 }));
+        router.get('/test', 2, (req, res) => res.json({ version: 2 }));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').set('Accept', 'application/json').expect(404).end(cb),
+            cb => request(app).get('/test').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^application\/vnd.acme.v1\+json/)
+                .expect(200, { version: 1 }).end(cb),
+            cb => request(app).get('/test').set('Accept', 'application/vnd.acme.v2+json')
+                .expect('Content-Type', /^application\/vnd.acme.v2\+json/)
+                .expect(200, { version: 2 }).end(cb),
+            cb => request(app).get('/test').set('Accept', 'application/vnd.other.v2+json').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should only use the vendor media type for json responses', done => {
+        let router = Router({ mediaType: 'acme' });
+        router.get('/test', 1, { params: { id: 'number' } }, (req, res) => res.json({ version: 1 }));
+
+        let app = express();
+        app.use(router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/test').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^application\/vnd.acme.v1\+json/).expect(422).end(cb),
+            cb => request(app).get('/test?format=xml').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^application\/xml/).expect(422).end(cb),
+            cb => request(app).get('/test?format=csv').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^text\/csv/).expect(422).end(cb),
+            cb => request(app).get('/test?format=table').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^text\/html/).expect(422).end(cb)
+        ], done);
+    });
+
+    it('should only send the vendor media type with json from handlers', done => {
+        let router = Router({ mediaType: 'acme' });
+        router.get('/json', 1, (req, res) => res.json({ version: 1 }));
+        router.get('/html', 1, (req, res) => res.send('<p>hi</p>'));
+        router.get('/hal', 1, (req, res) => res.type('application/hal+json').json({ version: 1 }));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/json').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^application\/vnd.acme.v1\+json/).expect('Vary', /Accept/)
+                .expect(200, { version: 1 }).end(cb),
+            cb => request(app).get('/html').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^text\/html/).expect('Vary', /Accept/).expect(200, '<p>hi</p>').end(cb),
+            cb => request(app).get('/hal').set('Accept', 'application/vnd.acme.v1+json')
+                .expect('Content-Type', /^application\/hal\+json/).expect(200, { version: 1 }).end(cb),
+            cb => request(app).get('/json?v=1').expect('Content-Type', /^application\/json/).expect('Vary', /Accept/)
+                .expect(200, { version: 1 }).end(cb),
+            cb => request(app).get('/json').set('Accept', 'application/vnd.acme.v2+json').expect('Vary', /Accept/)
+                .expect(404).end(cb)
+        ], done);
+    });
+
+    it('should process versioned requests using a media type version parameter', done => {
+        let router = Router({ mediaType: true });
+        router.get('/test', 2, (req, res) => res.json({ version: req.incomingVersion }));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').set('Accept', 'application/json; version=2')
+                .expect('Content-Type', /^application\/json;.*version=2/)
+                .expect(200, { version: '2' }).end(cb),
+            cb => request(app).get('/test').set('Accept', 'application/json; version=1').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should pick the media type with the highest quality from the Accept header', done => {
+        let router = Router({ mediaType: 'acme' });
+        router.get('/test', [1, 2], (req, res) => res.json({ version: req.incomingVersion }));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test')
+                .set('Accept', 'text/html, application/vnd.acme.v1+json;q=0.5, application/vnd.acme.v2+json;q=0.8')
+                .expect('Content-Type', /^application\/vnd.acme.v2\+json/)
+                .expect(200, { version: '2' }).end(cb),
+            cb => request(app).get('/test')
+                .set('Accept', 'application/vnd.acme.v2+json;q=0, application/vnd.acme.v1+json;q=0.1')
+                .expect(200, { version: '1' }).end(cb)
+        ], done);
+    });
+
+    it('should prefer an explicit version over the Accept header', done => {
+        let router = Router({ mediaType: 'acme' });
+        router.get('/test', [1, 2], (req, res) => res.end('success ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        request(app).get('/test?v=1').set('Accept', 'application/vnd.acme.v2+json').expect(200, 'success 1').end(done);
+    });
+
+    it('should process versioned requests using the hostname', done => {
+        let router = Router({ hostPattern: /^v(\d+)\./ });
+        router.get('/test', [1, 2], (req, res) => res.end('success ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').set('Host', 'api.example.com').expect(404).end(cb),
+            cb => request(app).get('/test').set('Host', 'v2.api.example.com').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/test?v=1').set('Host', 'v2.api.example.com').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test').set('Host', 'v3.api.example.com').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should use the default host pattern if host is part of the param order', done => {
+        let router = Router({ paramOrder: [ 'host', 'query' ] });
+        router.get('/test', [1, 2], (req, res) => res.end('success ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        request(app).get('/test?v=1').set('Host', 'v2.api.example.com').expect(200, 'success 2').end(done);
+    });
+
     it('should prevent me from passing in a path that is already versioned', () => {
         let router = Router();
         expect(router.get.bind(null, '/v:v/test')).to.throw(Error);
     });
 
+    it('should use a custom path template to generate versioned paths', done => {
+        let router = Router({ pathTemplate: '/{version}{path}' });
+        router.get('/test', 2, { params: { var1: 'number' } }, (req, res) => res.end('success ' + req.incomingVersion));
+        expect(router.get.bind(null, '/:v/test')).to.throw(Error);
+        expect(router.endpointsFor(2)).to.have.all.keys('/test');
+
+        let app = express();
+        app.use('/api', router);
+        // suppress error in console
+        app.use((err, req, res, next) => {});
+        async.series([
+            cb => request(app).get('/api/2/test?var1=1').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/api/2/test').expect(422).end(cb),
+            cb => request(app).get('/api/test?v=2&var1=1').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/api/v2/test?var1=1').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should allow paths with params that start like the version param', done => {
+        let router = Router({ pathTemplate: '/{version}{path}' });
+        router.get('/:vendor/items', 1, (req, res) => res.end('items of ' + req.params.vendor));
+        expect(router.get.bind(null, '/:v/items')).to.throw(Error);
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/1/acme/items').expect(200, 'items of acme').end(cb),
+            cb => request(app).get('/acme/items?v=1').expect(200, 'items of acme').end(cb)
+        ], done);
+    });
+
+    it('should support path templates with a version segment after a prefix', done => {
+        let router = Router({ pathTemplate: '/users/v{version}{path}' });
+        router.get('/list', 1, { description: 'A list' }, (req, res) => res.end('success ' + req.incomingVersion));
+        router.get('/api', 1, { description: 'The api map' }, router.api);
+
+        let app = express();
+        app.use('/base', router);
+        async.series([
+            cb => request(app).get('/base/users/v1/list').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/base/list?v=1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/base/users/v1/api').expect(res => {
+                expect(res.body).to.have.all.keys('/base/list', '/base/api');
+            }).end(cb)
+        ], done);
+    });
+
+    it('should disable versioned paths if the path template is set to false', done => {
+        let router = Router({ pathTemplate: false });
+        router.get('/test', 1, (req, res) => res.end('success ' + req.incomingVersion));
+        router.use('/sub', 1, (req, res) => res.end('sub ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1/test').expect(404).end(cb),
+            cb => request(app).get('/v1/sub').expect(404).end(cb),
+            cb => request(app).get('/test?v=1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/sub?v=1').expect(200, 'sub 1').end(cb)
+        ], done);
+    });
+
+    it('should reject path templates without a version or path placeholder', () => {
+        expect(Router.bind(null, { pathTemplate: '/v{version}' })).to.throw(Error);
+        expect(Router.bind(null, { pathTemplate: '{path}' })).to.throw(Error);
+    });
+
     it('should prevent me from not passing in a path', () => {
         let router = Router();
         expect(router.get.bind({})).to.throw(Error);
@@ -142,6 +334,431 @@ describe('Version Router', () => {
         ], done);
     });
 
+    it('should use the first registered handler that accepts the version by default', done => {
+        let router = Router();
+        router.get('/test', /1/, (req, res) => res.end('success regex'));
+        router.get('/test', 1, (req, res) => res.end('success number'));
+
+        let app = express();
+        app.use(router);
+        request(app).get('/v1/test').expect(200, 'success regex').end(done);
+    });
+
+    it('should prefer exact versions over ranges and regular expressions when resolving the best match', done => {
+        let router = Router({ resolution: 'best' });
+        router.get('/test', '/1/', (req, res) => res.end('success regex'));
+        router.get('/test', '^1.2', (req, res) => res.end('success range'));
+        router.get('/test', 1, (req, res) => res.end('success ' + req.acceptedVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1.3/test').expect('ApiVersion', '1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test?v=1.3').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/v3/test').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should prefer higher versions when resolving the best match between ranges', done => {
+        let router = Router({ resolution: 'best' });
+        router.get('/test', '^1.0', (req, res) => res.end('success ' + req.acceptedVersion));
+        router.get('/test', '^1.2', (req, res) => res.end('success ' + req.acceptedVersion));
+        router.get('/test', ['^1.1', /1/], (req, res) => res.end('success ' + req.acceptedVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1.3/test').expect('ApiVersion', '^1.2').expect(200, 'success ^1.2').end(cb),
+            cb => request(app).get('/v1.1/test').expect('ApiVersion', '^1.1').expect(200, 'success ^1.1').end(cb),
+            cb => request(app).get('/v1.0/test').expect(200, 'success ^1.0').end(cb)
+        ], done);
+    });
+
+    it('should fall through to the next best match when a handler calls next', done => {
+        let router = Router({ resolution: 'best' });
+        router.get('/test', (req, res) => res.end('success unversioned'));
+        router.get('/test', '^1', (req, res) => res.end('success range'));
+        router.get('/test', 1, (req, res, next) => next());
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1/test').expect(200, 'success range').end(cb),
+            cb => request(app).get('/v2/test').expect(200, 'success unversioned').end(cb)
+        ], done);
+    });
+
+    it('should use a configured default version if the client sends none', done => {
+        let router = Router({ defaultVersion: 1 });
+        router.get('/test', 1, (req, res) => res.end('success 1 ' + req.incomingVersion));
+        router.get('/test', 2, (req, res) => res.end('success 2 ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').expect('ApiVersion', '1').expect(200, 'success 1 1').end(cb),
+            cb => request(app).get('/test?v=2').expect(200, 'success 2 2').end(cb)
+        ], done);
+    });
+
+    it('should use the latest registered version of an endpoint as default', done => {
+        let router = Router({ defaultVersion: 'latest' });
+        router.get('/test', 1, (req, res) => res.end('success 1 ' + req.incomingVersion));
+        router.get('/test', [ '^2.1', /3/ ], (req, res) => res.end('success 2 ' + req.incomingVersion));
+        router.get('/other', 1, (req, res) => res.end('success other ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').expect('ApiVersion', '2.1.0').expect(200, 'success 2 2.1.0').end(cb),
+            cb => request(app).get('/other').expect('ApiVersion', '1').expect(200, 'success other 1').end(cb)
+        ], done);
+    });
+
+    it('should use a function to determine the default version', done => {
+        let router = Router({ defaultVersion: req => req.get('User-Agent') == 'legacy' ? 1 : 2 });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', 2, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').set('User-Agent', 'legacy').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test').set('User-Agent', 'modern').expect(200, 'success 2').end(cb)
+        ], done);
+    });
+
+    it('should respond with a list of available versions if the requested version is not supported', done => {
+        let router = Router({ rejectUnsupported: true });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', ['^2', /3/], (req, res) => res.end('success 2'));
+        router.post('/test', 4, (req, res) => res.end('success post'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v1/test').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/v5/test').expect(406, {
+                error: 'Requested version is not supported',
+                version: '5',
+                versions: [ 1, '^2', '/3/' ]
+            }).end(cb),
+            cb => request(app).get('/test').expect(406, {
+                error: 'No version has been requested',
+                versions: [ 1, '^2', '/3/' ]
+            }).end(cb),
+            cb => request(app).get('/test?v=5&format=csv').expect(406, 'requested,available\n5,1\n5,^2\n5,/3/\n').end(cb)
+        ], done);
+    });
+
+    it('should respond with a custom status code if the requested version is not supported', done => {
+        let router = Router({ rejectUnsupported: 404, resolution: 'best' });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', 2, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/v2/test').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/v3/test').expect(404, {
+                error: 'Requested version is not supported',
+                version: '3',
+                versions: [ 1, 2 ]
+            }).end(cb)
+        ], done);
+    });
+
+    it('should include routes for all methods when rejecting unsupported versions', done => {
+        let router = Router({ rejectUnsupported: true });
+        router.get('/test', 1, (req, res) => res.end('success get'));
+        router.all('/test', 2, (req, res) => res.end('success all'));
+        router.post('/test', 3, (req, res) => res.end('success post'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?v=2').expect(200, 'success all').end(cb),
+            cb => request(app).post('/test?v=2').expect(200, 'success all').end(cb),
+            cb => request(app).post('/test?v=3').expect(200, 'success post').end(cb),
+            cb => request(app).head('/test?v=1').expect(200).end(cb),
+            cb => request(app).get('/test?v=3').expect(406, {
+                error: 'Requested version is not supported',
+                version: '3',
+                versions: [ 1, 2 ]
+            }).end(cb),
+            cb => request(app).post('/test?v=1').expect(406, {
+                error: 'Requested version is not supported',
+                version: '1',
+                versions: [ 2, 3 ]
+            }).end(cb)
+        ], done);
+    });
+
+    it('should only reject unsupported versions once no route on an overlapping path accepts them', done => {
+        let router = Router({ rejectUnsupported: true });
+        router.get('/users/:id', 1, (req, res) => res.end('user ' + req.params.id));
+        router.get('/users/me', 2, (req, res) => res.end('me'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/users/me?v=2').expect(200, 'me').end(cb),
+            cb => request(app).get('/users/me?v=1').expect(200, 'user me').end(cb),
+            cb => request(app).get('/users/5?v=2').expect(406, {
+                error: 'Requested version is not supported',
+                version: '2',
+                versions: [ 1 ]
+            }).end(cb),
+            cb => request(app).get('/users/me?v=3').expect(406, {
+                error: 'Requested version is not supported',
+                version: '3',
+                versions: [ 1 ]
+            }).end(cb)
+        ], done);
+    });
+
+    it('should not reject a request that has already been handled by another version', done => {
+        let router = Router({ rejectUnsupported: true });
+        router.get('/test', 1, (req, res, next) => next());
+        router.get('/test', 2, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        app.use((req, res) => res.status(404).end('not found'));
+        request(app).get('/v1/test').expect(404, 'not found').end(done);
+    });
+
+    it('should resolve version aliases', done => {
+        let router = Router({ aliases: { stable: 1, beta: '2.0.0' } });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', '^2', (req, res) => res.json(req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?v=stable').expect('ApiVersion', '1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test').set('ApiVersion', 'beta').expect('ApiVersion', '2.0.0')
+                .expect(200, { alias: 'beta', version: '2.0.0' }).end(cb),
+            cb => request(app).get('/vbeta/test').expect(200, { alias: 'beta', version: '2.0.0' }).end(cb),
+            cb => request(app).get('/test?v=alpha').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should allow to change version aliases at runtime', done => {
+        let router = Router({ aliases: { stable: 1 } });
+        router.get('/test', 1, (req, res) => res.end('success 1 ' + req.incomingVersion));
+        router.get('/test', 2, (req, res) => res.end('success 2 ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?v=stable').expect(200, 'success 1 1').end(cb),
+            cb => {
+                router.alias('stable', 2);
+                router.alias({ beta: 3, legacy: 1 });
+                request(app).get('/test?v=stable').expect(200, 'success 2 2').end(cb);
+            },
+            cb => request(app).get('/test?v=legacy').expect(200, 'success 1 1').end(cb),
+            cb => {
+                router.alias('stable', null);
+                request(app).get('/test?v=stable').expect(404).end(cb);
+            }
+        ], done);
+    });
+
+    it('should split unversioned traffic between weighted default versions', done => {
+        let router = Router({ defaultVersion: { 1: 50, 2: 50 }, canaryKey: 'header:X-Client' });
+        router.get('/test', [1, 2], (req, res) => res.end(req.canaryVersion + ' ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        let buckets = {};
+        async.timesSeries(20, (n, cb) => request(app).get('/test').set('X-Client', 'client' + n).expect(200)
+            .end((err, res) => {
+                let bucket = res.headers['apicanary'];
+                expect(res.text).to.equal(bucket + ' ' + bucket);
+                expect(res.headers['apiversion']).to.equal(bucket);
+                buckets[bucket] = (buckets[bucket] || 0) + 1;
+                request(app).get('/test').set('X-Client', 'client' + n).expect('ApiCanary', bucket).end(cb);
+            }), err => {
+            if (err) {
+                return done(err);
+            }
+            expect(buckets).to.have.all.keys('1', '2');
+            request(app).get('/test?v=1').expect(200, 'undefined 1').end((err, res) => {
+                expect(res.headers['apicanary']).to.be.undefined;
+                done(err);
+            });
+        });
+    });
+
+    it('should split the traffic of an alias between weighted versions', done => {
+        let router = Router({ aliases: { stable: { 1: 100, 2: 0 } } });
+        router.get('/test', 1, (req, res) => res.end('success 1 ' + req.canaryVersion));
+        router.get('/test', 2, (req, res) => res.end('success 2 ' + req.canaryVersion));
+
+        expect(router.endpointsFor('stable')).to.deep.equal(router.endpointsFor(1));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?v=stable').expect('ApiCanary', '1').expect(200, 'success 1 1').end(cb),
+            cb => {
+                router.alias('stable', { 1: 0, 2: 100 });
+                request(app).get('/test?v=stable').expect('ApiCanary', '2').expect(200, 'success 2 2').end(cb);
+            }
+        ], done);
+    });
+
+    it('should pin clients to a version using a map', done => {
+        let router = Router({ resolveVersion: { old: 1, new: 'stable' }, pinKey: 'header:X-Api-Key', aliases: { stable: 2 } });
+        router.get('/test', 1, (req, res) => res.end('success 1 ' + req.pinnedVersion));
+        router.get('/test', 2, (req, res) => res.end('success 2 ' + req.pinnedVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').set('X-Api-Key', 'old')
+                .expect('ApiPin', '1').expect('ApiVersion', '1').expect(200, 'success 1 1').end(cb),
+            cb => request(app).get('/test').set('X-Api-Key', 'new')
+                .expect('ApiPin', 'stable').expect('ApiVersion', '2').expect(200, 'success 2 stable').end(cb),
+            cb => request(app).get('/test?v=2').set('X-Api-Key', 'old').expect(200, 'success 2 undefined').end((err, res) => {
+                expect(res.headers['apipin']).to.be.undefined;
+                cb(err);
+            }),
+            cb => request(app).get('/test').set('X-Api-Key', 'unknown').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should pin clients to a version using an async lookup', done => {
+        let lookups = 0;
+        let router = Router({
+            defaultVersion: 1,
+            resolveVersion: (req, cb) => {
+                lookups++;
+                if (req.get('X-Api-Key') == 'broken') {
+                    return cb(new Error('Lookup failed'));
+                }
+                setTimeout(() => cb(null, req.get('X-Api-Key') == 'pinned' ? 2 : null), 1);
+            }
+        });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', 2, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        app.use((err, req, res, next) => res.status(500).end(err.message));
+        async.series([
+            cb => request(app).get('/test').set('X-Api-Key', 'pinned').expect('ApiPin', '2').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/test').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test').set('X-Api-Key', 'broken').expect(500, 'Lookup failed').end(cb),
+            cb => request(app).get('/test?v=1').set('X-Api-Key', 'pinned').expect(200, 'success 1').end(cb)
+        ], err => {
+            expect(lookups).to.equal(3);
+            done(err);
+        });
+    });
+
+    it('should support version validators and resolvers that return a promise', done => {
+        let router = Router({
+            validate: (version, acceptVersions) => version == 'broken' ? Promise.reject(new Error('Invalid version'))
+                : Promise.resolve(acceptVersions.indexOf(parseInt(version)) != -1),
+            resolveVersion: req => Promise.resolve(req.get('X-Api-Key') == 'pinned' ? 2 : undefined)
+        });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', 2, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        app.use((err, req, res, next) => res.status(500).end(err.message));
+        async.series([
+            cb => request(app).get('/test?v=1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test?v=2').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/test?v=3').expect(404).end(cb),
+            cb => request(app).get('/test?v=broken').expect(500, 'Invalid version').end(cb),
+            cb => request(app).get('/test').set('X-Api-Key', 'pinned').expect('ApiPin', '2').expect(200, 'success 2').end(cb)
+        ], done);
+    });
+
+    it('should support resolvers that return the pinned version directly', done => {
+        let router = Router({ resolveVersion: req => req.get('X-Api-Key') == 'pinned' ? 2 : undefined });
+        router.get('/test', 1, (req, res) => res.end('success 1'));
+        router.get('/test', 2, (req, res) => res.end('success 2'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').set('X-Api-Key', 'pinned').expect('ApiPin', '2').expect(200, 'success 2').end(cb),
+            cb => request(app).get('/test?v=1').set('X-Api-Key', 'pinned').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test').set('X-Api-Key', 'other').expect(404).end(cb)
+        ], done);
+    });
+
+    it('should only use the first result of hooks that call back and return a promise', done => {
+        let calls = 0;
+        let skipped = 0;
+        let check = version => new Promise(resolve => setTimeout(() => resolve(version == '1'), 5));
+        let router = Router({
+            validate: async (version, acceptVersions, cb) => cb(await check(version)),
+            resolveVersion: async (req, cb) => cb(null, req.get('X-Api-Key') == 'pinned' ? 1 : undefined)
+        });
+        router.get('/test', 1, (req, res) => {
+            calls++;
+            res.end('success 1');
+        });
+
+        let app = express();
+        app.use(router);
+        app.use((req, res, next) => {
+            skipped++;
+            next();
+        });
+        async.series([
+            cb => request(app).get('/test?v=1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test').set('X-Api-Key', 'pinned').expect('ApiPin', '1').expect(200, 'success 1').end(cb),
+            cb => request(app).get('/test?v=2').expect(404).end(cb)
+        ], err => {
+            expect(calls).to.equal(2);
+            expect(skipped).to.equal(1);
+            done(err);
+        });
+    });
+
+    it('should serve date versions until the next registered date', done => {
+        let router = Router();
+        router.get('/test', '2023-01-15', (req, res) => res.end('success 2023'));
+        router.get('/test', '2024-06-01', (req, res) => res.end('success 2024'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?v=2023-01-01').expect(404).end(cb),
+            cb => request(app).get('/test?v=2023-01-15').expect(200, 'success 2023').end(cb),
+            cb => request(app).get('/test').set('ApiVersion', '2024-05-31').expect(200, 'success 2023').end(cb),
+            cb => request(app).get('/v2024-06-01/test').expect(200, 'success 2024').end(cb),
+            cb => request(app).get('/test?v=2030-01-01').expect(200, 'success 2024').end(cb)
+        ], done);
+    });
+
+    it('should treat all versions as dates in date mode', done => {
+        let router = Router({ versionType: 'date', defaultVersion: 'latest' });
+        router.get('/test', '2023-01-15', {
+            params: { var1: 'number(1)' }
+        }, (req, res) => res.end('success 2023 ' + req.args.var1));
+        router.get('/test', '2024-06-01', {
+            params: { var2: 'number(2)' }
+        }, (req, res) => res.end('success 2024 ' + req.args.var2));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test?v=2024-01-01T10:00:00Z').expect(200, 'success 2023 1').end(cb),
+            cb => request(app).get('/test?v=2024-07-01&var2=5').expect(200, 'success 2024 5').end(cb),
+            cb => request(app).get('/test').expect('ApiVersion', '2024-06-01').expect(200, 'success 2024 2').end(cb),
+            cb => request(app).get('/test?v=2').expect(404).end(cb)
+        ], done);
+    });
+
     it('should be able to handle a regex path', done => {
         let router = Router();
         router.get(/\/test/, 1, (req, res) => res.end('success'));
@@ -217,6 +834,23 @@ describe('Version Router', () => {
         ], done);
     });
 
+    it('should support versions on the route method', done => {
+        let router = Router();
+        router.route('/test')
+            .get(1, (req, res) => res.end('success get 1'))
+            .get(2, (req, res) => res.end('success get 2'))
+            .post(/1|2/, (req, res) => res.end('success post'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').expect(404).end(cb),
+            cb => request(app).get('/v1/test').expect(200, 'success get 1').end(cb),
+            cb => request(app).get('/test?v=2').expect(200, 'success get 2').end(cb),
+            cb => request(app).post('/v2/test').expect(200, 'success post').end(cb)
+        ], done);
+    });
+
     it('should support middleware functions', done => {
         let router = Router();
         router.use((req, res, next) => next(), (req, res) => res.end('success'));
@@ -234,4 +868,135 @@ describe('Version Router', () => {
         app.use(router);
         request(app).get('/test').expect(200, 'success').end(done);
     });
+
+    it('should pass regular expression and wildcard paths of middleware on to express', done => {
+        let router = Router();
+        router.use(/^\/foo/, (req, res) => res.end('regex'));
+        router.use('*', (req, res) => res.end('wildcard'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/foo').expect(200, 'regex').end(cb),
+            cb => request(app).get('/bar?v=1').expect(200, 'wildcard').end(cb)
+        ], done);
+    });
+
+    it('should support versioned middleware functions', done => {
+        let router = Router();
+        router.use(1, (req, res) => res.end('success 1 ' + req.incomingVersion));
+        router.use('^2', (req, res) => res.end('success 2 ' + req.incomingVersion));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/test').expect(404).end(cb),
+            cb => request(app).get('/test?v=1').expect(200, 'success 1 1').end(cb),
+            cb => request(app).get('/v2.1/test').expect(200, 'success 2 2.1').end(cb)
+        ], done);
+    });
+
+    it('should not reject unsupported versions in versioned middleware', done => {
+        let router = Router({ rejectUnsupported: true });
+        router.use(1, (req, res, next) => {
+            res.set('X-Middleware', 'v1');
+            next();
+        });
+        router.get('/health', (req, res) => res.end('ok'));
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/health').expect(200, 'ok').end(cb),
+            cb => request(app).get('/health?v=2').expect(200, 'ok').end(cb),
+            cb => request(app).get('/health?v=1').expect('X-Middleware', 'v1').expect(200, 'ok').end(cb)
+        ], done);
+    });
+
+    it('should support mounting routers for different versions', done => {
+        let billingV1 = Router();
+        billingV1.get('/invoices', (req, res) => res.end('invoices 1'));
+        let billingV2 = Router();
+        billingV2.get('/invoices', (req, res) => res.end('invoices 2'));
+
+        let router = Router();
+        router.use('/billing', 1, billingV1);
+        router.use('/billing', '^2', billingV2);
+
+        let app = express();
+        app.use(router);
+        async.series([
+            cb => request(app).get('/billing/invoices').expect(404).end(cb),
+            cb => request(app).get('/v1/billing/invoices').expect(200, 'invoices 1').end(cb),
+            cb => request(app).get('/billing/invoices?v=2').expect(200, 'invoices 2').end(cb),
+            cb => request(app).get('/billing/invoices').set('ApiVersion', '2.3').expect(200, 'invoices 2').end(cb)
+        ], done);
+    });
+
+    it('should merge the endpoints of mounted routers into the api map', done => {
+        let billing = Router();
+        billing.get('/invoices', { description: 'List all invoices' }, (req, res) => {});
+
+        let router = Router();
+        router.get('/users', { description: 'List all users' }, (req, res) => {});
+        router.use('/billing', '^2', billing);
+
+        expect(router.endpointsFor(1)['/billing/invoices']).to.be.undefined;
+        expect(router.endpointsFor(2)['/billing/invoices'].GET.versions).to.deep.equal([ '^2' ]);
+        expect(router.endpointsFor('all')['^2']['/billing/invoices'].GET.description).to.equal('List all invoices');
+
+        let app = express();
+        app.get('/api', router.api);
+        async.series([
+            cb => request(app).get('/api').expect(200, {
+                '/users': {
+                    GET: {
+                        description: 'List all users',
+                        paramMap: 'args',
+                        paramOrder: [ 'params', 'query', 'cookie', 'body', 'header' ],
+                        params: {},
+                        versions: [ 0 ]
+                    }
+                }
+            }).end(cb),
+            cb => request(app).get('/api?v=2').expect(200, {
+                '/users': {
+                    GET: {
+                        description: 'List all users',
+                        paramMap: 'args',
+                        paramOrder: [ 'params', 'query', 'cookie', 'body', 'header' ],
+                        params: {},
+                        versions: [ 0 ]
+                    }
+                },
+                '/billing/invoices': {
+                    GET: {
+                        description: 'List all invoices',
+                        paramMap: 'args',
+                        paramOrder: [ 'params', 'query', 'cookie', 'body', 'header' ],
+                        params: {},
+                        versions: [ '^2' ]
+                    }
+                }
+            }).end(cb)
+        ], done);
+    });
+
+    it('should list routers mounted for different versions on the same path', () => {
+        let billingV1 = Router();
+        billingV1.get('/invoices', { description: 'List invoices' }, (req, res) => {});
+        let billingV2 = Router();
+        billingV2.get('/invoices', { description: 'List invoices with pagination' }, (req, res) => {});
+
+        let router = Router();
+        router.use('/billing', '^2', billingV2);
+        router.use('/billing', 1, billingV1);
+
+        expect(router.endpoints['/billing/invoices']).to.be.undefined;
+        expect(router.endpointsFor(1)['/billing/invoices'].GET.description).to.equal('List invoices');
+        expect(router.endpointsFor(2)['/billing/invoices'].GET.description).to.equal('List invoices with pagination');
+        let all = router.endpointsFor('all');
+        expect(all[1]['/billing/invoices'].GET.versions).to.deep.equal([ 1 ]);
+        expect(all['^2']['/billing/invoices'].GET.versions).to.deep.equal([ '^2' ]);
+    });
 });